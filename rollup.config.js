@@ -6,7 +6,7 @@ import json from 'rollup-plugin-json'
 
 export default {
   input: 'src/index.js',
-  external: ['fuse-fs', 'plock', 'timed-trigger', 'emitter', 'filescan', 'sade', 'fs', 'util', 'path', 'os'],
+  external: ['fuse-fs', 'timed-trigger', 'emitter', 'filescan', 'sade', 'fs', 'util', 'path', 'os', 'net', 'http', 'crypto'],
   plugins: [
     json(),
     // resolve(),
@@ -3,10 +3,19 @@
 import realFs from 'fs'
 import { promisify } from 'util'
 import { basename, dirname, join, relative } from 'path'
-import PLock from 'plock'
+import { createHash } from 'crypto'
 import TimedTrigger from 'timed-trigger'
 import Emitter from 'emitter'
 import filescan from 'filescan'
+import Catalog from './catalog'
+import Pins from './pins'
+import History from './history'
+import Predictor from './predictor'
+import Metadata from './metadata'
+import Scheduler, { PRIORITY } from './scheduler'
+import { getStrategy } from './strategies'
+import { isPlaylist, parsePlaylist, playlistOrder } from './playlist'
+import { META_DIR, parseSize, isWithin, delay } from './util'
 
 /*
  * Cache
@@ -18,53 +27,204 @@ import filescan from 'filescan'
  *    - fs: the fs-like to use
  *    - mruSize: size of the MRU cache
  *
+ *    Which files to preload is decided by the preloadStrategy, either the
+ *    name of a built-in one, a module path, or a function (see strategies)
+ *
+ *    The preload and clean options (and whether to cache at all) can be
+ *    varied for the files under a path by rules, with the most specific
+ *    rule winning (see config)
+ *
+ *    Where a dir holds playlists (m3u, m3u8 or cue), its files are taken
+ *    in playlist order, rather than by name. Opening a playlist preloads
+ *    the files it refers to, wherever they are.
+ *
+ *    Jobs are run by copyWorkers workers, in priority order: the file
+ *    just opened first, then its near siblings, then far ones, and finally
+ *    background work like warming and cleaning
+ *
+ *    Preloads are cancelled when the file which asked for them is closed,
+ *    or when a file in a different dir is opened - unless they are for a
+ *    file which is itself open
+ *
+ *    If cacheMaxSize is given, then the least recently accessed files are
+ *    evicted once usage goes over the high water mark, until it is below
+ *    the low water mark (both as percentages of the max size)
+ *
+ *    Before each copy, the free space on the cache disk is checked (if the
+ *    fs can tell us). If the copy would leave less than minFree, the least
+ *    recently accessed files are evicted to make room - other than pinned
+ *    or open ones - and if there is still not room, the copy is skipped
+ *    and reported. A copy which runs out of space is cleaned up the same.
+ *
+ *    Files are copied in chunks to a temporary name and renamed into place
+ *    once complete, so a partial copy is never mistaken for a cached file.
+ *    Meanwhile, reads of a file opened from the source are served from the
+ *    copy where it has got far enough.
+ *
+ *    Copies can be limited to a number of bytes/sec: maxOpenRate for files
+ *    currently open, maxWarmRate for warming, and maxCopyRate otherwise.
+ *    Each limit is for all the copies of its kind together, however many
+ *    workers are running them
+ *
+ *    Cached files are checked against the source (size and mtime) at most
+ *    once every staleCheck seconds, and invalidated if they differ
+ *
+ *    Pinned files and dirs are copied in full, never cleaned, and copied
+ *    again if found to be stale. The pins are kept in the meta dir.
+ *
+ *    Each play of a cacheable file (from open to close) is recorded in the
+ *    history, kept for historyDays days and up to historyMax records
+ *
+ *    The moves between dirs, from the history and as files are opened,
+ *    are used to predict the next dir. Once the files left in a dir are
+ *    within preloadSiblings, the first predictFiles files of the likeliest
+ *    next dir are fetched - if at least predictThreshold percent of the
+ *    moves seen went there, and up to predictBudget bytes if given. These
+ *    are not cancelled when the file is closed
+ *
+ *    Dir listings and stats read from the source are kept for metadataTtl
+ *    seconds (up to metadataSize of them), and saved in the meta dir if
+ *    metadataPersist is set. Those for a path are dropped when it is
+ *    cached or uncached.
+ *
+ *    If the source cannot be read, the cache carries on serving what it
+ *    holds, listing dirs from the metadata or the cache dir, and stats from
+ *    the metadata however old. Anything else then fails
+ *    with EHOSTDOWN, rather than ENOENT. Copies are held back until the
+ *    source is back, which is checked every sourceCheck seconds
+ *
+ *    With checksum set, a checksum of each file is recorded as it is
+ *    copied, and the copy read back to check it. A scrub re-reads cached
+ *    files (at up to maxVerifyRate bytes/sec) to check they still match,
+ *    removing any which do not - and copying them again if pinned or open.
+ *    Files copied without a checksum are not checked.
+ *
+ *    Cached files whose source has been deleted or renamed are removed by
+ *    a sweep. This refuses to run unless the source can be read and is not
+ *    empty, so an offline or unmounted source is never taken as deleted.
+ *    Pinned files are kept.
+ *
+ *    What is in the cache is recorded in a persistent catalog, which is
+ *    rebuilt from the cache dir on recovery if missing or corrupt
+ *
  * Public API
  *
- *  - readdir(dir) - reads source/cache
+ *  - readdir(dir) - reads source, or the cache if the source is offline
  *  - locate(path) - returns { cached, cacheable, stats, fullpath }
+ *  - knownStats(path) - the source stats still held, if any
  *  - onOpen(fd, path) - inform about an open
  *  - onRead(fd, bytes) - inform about a read
+ *  - readCopy(fd, buffer, length, position) - read from the copy of a file
+ *      opened from the source, resolving to the bytes read, or undefined
+ *      if the copy is not far enough along
  *  - onClose(fd) - inform about a close
- *  - clean(filter, age) - clean the cache
+ *  - clean(filter, age, dryRun) - clean the cache by age, then by size,
+ *      resolving to the paths removed (or which would be). The filter and
+ *      age default to those in force for each file
+ *  - verify(path) - check the cached files at or under a path against
+ *      their checksums, resolving to those which failed
+ *  - sweep(dryRun) - remove cached files whose source has gone, resolving
+ *      to the paths removed (or which would be)
+ *  - warm(path) - cache a file, or the files under a dir, now
+ *  - evict(path) - uncache a file, or the files under a dir, now
+ *  - pin(path) - pin a file or dir, and cache it now, resolving to the
+ *      files cached
+ *  - unpin(path) - remove a pin, resolving false if there was none
+ *  - pinned() - returns the pinned paths
+ *  - history({ since, limit }) - resolves to the most played dirs, hit
+ *      ratio by day, and files which always miss
+ *  - status() - returns { files, bytes, maxSize, open, queued, pins,
+ *      online }
+ *  - list() - returns the catalog entries
+ *  - recover() - load the catalog, and remove partial or truncated copies
+ *  - load() - load the catalog, rebuilding it if needed, but change nothing
+ *  - close() - write out any pending changes to the catalog, history and
+ *      metadata, and stop checking the source
+ *  - configure(options) - apply new preload, clean, quota and rate options
+ *      (and rules) to a running cache
+ *  - catalog - the catalog of cached files
  *
  * Events
  *
  *  - request([reason, path])
  *  - cache(path)
  *  - uncache(path)
+ *  - discard(path) - partial copy removed on recovery
+ *  - stale(path) - cached copy no longer matches the source
+ *  - copied([path, bytes, ms]) - details of each copy made
+ *  - nospace([path, bytes]) - copy skipped for want of disk space
+ *  - removed([path, bytes]) - details of each file removed
+ *  - cancel(path) - preload dropped or stopped
+ *  - verified(path) - cached file matched its checksum
+ *  - corrupt(path) - cached file or new copy did not match its checksum
  *  - hit(path)
  *  - miss(path)
  *  - read(path) (for non-cacheable)
+ *  - source-down(sourceDir) - the source cannot be read
+ *  - source-up(sourceDir) - the source can be read again
  *  - error(err)
  */
 
 const priv = Symbol('priv')
+const TEMP_SUFFIX = '.cachejs-tmp'
+const COPY_CHUNK = 256 * 1024
+const HASH = 'sha1'
 
 export default class Cache extends Emitter {
   constructor (options) {
     super()
-    Object.defineProperty(this, priv, { value: getPrivate(options) })
+    const onError = err => this.emit('error', err)
+    Object.defineProperty(this, priv, {
+      value: getPrivate({ ...options, onError })
+    })
+  }
+
+  get catalog () {
+    return this[priv].catalog
+  }
+
+  configure (options) {
+    const p = this[priv]
+    Object.assign(p, getSettings(options))
+    p.mruFiles.clear()
+    p.scheduler.workers = p.copyWorkers
+    p.scheduler.next()
   }
 
   async readdir (path) {
-    const { sourceDir, readdir } = this[priv]
-    return readdir(join(sourceDir, path))
+    const p = this[priv]
+    const { sourceDir, cacheDir, readdir, metadata } = p
+    let names = metadata.dir(path, metadataAge(this))
+    if (names) return names
+    if (p.online) {
+      try {
+        names = await readdir(join(sourceDir, path))
+        if (p.metadataTtl) metadata.setDir(path, names)
+        return names
+      } catch (err) {
+        if (await checkSource(this)) throw err
+      }
+    }
+    names = await readdir(join(cacheDir, path))
+    return names.filter(
+      name => !isTempFile(name) && !(path === '/' && name === META_DIR)
+    )
+  }
+
+  // the stats of a source file, if still held from the source
+
+  knownStats (path) {
+    return this[priv].metadata.stats(path, metadataAge(this))
   }
 
   async locate (path) {
-    const {
-      mruFiles,
-      mruSize,
-      preloadFilter,
-      lstat,
-      sourceDir,
-      cacheDir
-    } = this[priv]
+    const { mruFiles, mruSize, lstat, sourceDir, cacheDir } = this[priv]
 
     let rec = mruFiles.get(path)
     if (rec) {
       mruFiles.delete(path)
       mruFiles.set(path, rec)
+      if (rec.cached) await checkStale(this, rec)
       return rec
     }
 
@@ -72,7 +232,7 @@ export default class Cache extends Emitter {
       path,
       fullpath: join(cacheDir, path),
       cached: true,
-      cacheable: preloadFilter.test(basename(path))
+      cacheable: isCacheable(this, path)
     }
 
     try {
@@ -82,153 +242,810 @@ export default class Cache extends Emitter {
       if (err.code !== 'ENOENT') throw err
       rec.fullpath = join(sourceDir, path)
       rec.cached = false
-      rec.stats = await lstat(rec.fullpath)
+      rec.stats = await sourceStats(this, path)
     }
 
     mruFiles.set(path, rec)
     if (mruFiles.size > mruSize) {
       mruFiles.delete(mruFiles.keys().next().value)
     }
+    if (rec.cached) await checkStale(this, rec)
     return rec
   }
 
   async onOpen (fd, path) {
-    const { openFiles, preloadOpen, preloadFilter } = this[priv]
+    const { openFiles, catalog, scheduler, predictor } = this[priv]
+    const settings = settingsFor(this, path)
 
-    if (!preloadFilter.test(basename(path))) {
+    if (!isCacheable(this, path)) {
       // uncacheable file
       this.emit('read', path)
+      if (isPlaylist(path)) {
+        execute(this, () => preloadPlaylist(this, path), {
+          priority: PRIORITY.NEAR
+        })
+      }
       return
     }
 
+    cancelPreloads(this, origin => dirname(origin) !== dirname(path))
+    predictor.learn(dirname(path))
+
+    // bring forward any copy of this file, at the expense of earlier ones
+    scheduler.reprioritise((key, priority) => {
+      if (key === path) return PRIORITY.OPEN
+      if (priority === PRIORITY.OPEN && key && !isOpen(this, key)) {
+        return PRIORITY.NEAR
+      }
+    })
+
     const { cached } = await this.locate(path)
     this.emit(cached ? 'hit' : 'miss', path)
+    if (cached) catalog.touch(path)
 
     const rec = {
       path,
+      cached,
+      hit: cached,
+      opened: Date.now(),
       trigger: new TimedTrigger(),
-      read: 0
+      read: 0,
+      settings
     }
     openFiles.set(fd, rec)
 
-    rec.trigger.fireAfter(preloadOpen, 'time')
+    rec.trigger.fireAfter(settings.preloadOpen, 'time')
     rec.trigger.then(reason =>
-      execute(this, () => requestCache(this, reason, path))
+      execute(this, () => requestCache(this, reason, path), {
+        priority: PRIORITY.OPEN
+      })
     )
-    execute(this, () => getFileSize(this, rec))
+    execute(this, () => getFileSize(this, rec), { priority: PRIORITY.OPEN })
   }
 
   onRead (fd, bytes) {
-    const { openFiles, preloadRead } = this[priv]
+    const { openFiles } = this[priv]
     const rec = openFiles.get(fd)
     if (!rec) return
     rec.read += bytes
     if (typeof rec.size === 'number') {
-      const threshold = (preloadRead * rec.size) / 100
+      const threshold = (rec.settings.preloadRead * rec.size) / 100
       if (rec.read > threshold) rec.trigger.fire('read')
     }
   }
 
+  async readCopy (fd, buffer, length, position) {
+    const { openFiles, copying, catalog, cacheDir } = this[priv]
+    const rec = openFiles.get(fd)
+    if (!rec || rec.cached) return undefined
+
+    const job = copying.get(rec.path)
+    if (job) {
+      if (Math.min(position + length, job.size) > job.copied) return undefined
+      return readFrom(this, job.tempFile, buffer, length, position)
+    }
+    if (catalog.get(rec.path)) {
+      return readFrom(this, join(cacheDir, rec.path), buffer, length, position)
+    }
+    return undefined
+  }
+
   onClose (fd) {
-    const { openFiles } = this[priv]
+    const { openFiles, history } = this[priv]
     const rec = openFiles.get(fd)
     if (!rec) return
     rec.trigger.clear()
     openFiles.delete(fd)
+    history.add({
+      path: rec.path,
+      opened: rec.opened,
+      duration: Date.now() - rec.opened,
+      bytes: rec.read,
+      hit: rec.hit
+    })
+    cancelPreloads(this, origin => origin === rec.path)
   }
 
-  clean (cleanIgnore, cleanAfter) {
-    cleanIgnore = ensureRegex(cleanIgnore)
-    const { cacheDir, filescan, mruFiles } = this[priv]
+  clean (cleanIgnore, cleanAfter, dryRun = false) {
+    if (cleanIgnore) cleanIgnore = ensureRegex(cleanIgnore)
+    const { mruFiles } = this[priv]
     return execute(this, async () => {
-      for await (let { path, stats } of filescan(cacheDir)) {
-        if (!stats.isFile()) continue
-        if (cleanIgnore.test(basename(path))) continue
-        const then = Date.now() - cleanAfter * 1000
-        if (stats.atimeMs < then) {
-          path = '/' + relative(cacheDir, path)
-          await uncacheFile(this, path)
+      const files = selectExpired(this, cleanIgnore, cleanAfter)
+      files.push(...selectForEviction(this, cleanIgnore, 0, files))
+      if (dryRun) return files
+      const removed = []
+      for (const path of files) {
+        if (await uncacheFile(this, path)) {
           this.emit('uncache', path)
+          removed.push(path)
         }
       }
       mruFiles.clear()
+      return removed
+    })
+  }
+
+  async verify (path = '/') {
+    const files = Array.from(this[priv].catalog.values())
+      .filter(entry => entry.checksum && isWithin(entry.path, path))
+      .map(entry => entry.path)
+      .sort()
+    const results = await Promise.all(
+      files.map(file => run(this, () => verifyFile(this, file)))
+    )
+    return files.filter((file, ix) => !results[ix])
+  }
+
+  sweep (dryRun = false) {
+    const { mruFiles } = this[priv]
+    return run(this, async () => {
+      const files = await selectOrphans(this)
+      if (dryRun) return files
+      // in case the source went while looking
+      await ensureSource(this)
+      const removed = []
+      for (const path of files) {
+        if (await uncacheFile(this, path)) {
+          this.emit('uncache', path)
+          removed.push(path)
+        }
+      }
+      mruFiles.clear()
+      return removed
+    })
+  }
+
+  recover () {
+    const { catalog, pins, history, metadata, unlink, mruFiles } = this[priv]
+    return execute(this, async () => {
+      await pins.load()
+      await metadata.load()
+      await history.prune()
+      await learnHistory(this)
+      if (!(await catalog.load())) catalog.clear()
+      const found = new Set()
+      for await (const { path, file, stats } of scanCache(this)) {
+        if (isTempFile(path) || (await isTruncated(this, file, stats))) {
+          await unlink(path)
+          await rmdirs(this, dirname(path))
+          catalog.delete(file)
+          this.emit('discard', file)
+          continue
+        }
+        found.add(file)
+        addToCatalog(this, file, stats)
+      }
+      for (const { path } of Array.from(catalog.values())) {
+        if (!found.has(path)) catalog.delete(path)
+      }
+      mruFiles.clear()
     })
   }
+
+  load () {
+    const { catalog, pins, metadata } = this[priv]
+    return execute(this, async () => {
+      await pins.load()
+      await metadata.load()
+      await learnHistory(this)
+      if (await catalog.load()) return
+      catalog.clear()
+      for await (const { path, file, stats } of scanCache(this)) {
+        if (!isTempFile(path)) addToCatalog(this, file, stats)
+      }
+    })
+  }
+
+  async close () {
+    const { catalog, history, metadata } = this[priv]
+    clearInterval(this[priv].sourceTimer)
+    await catalog.flush()
+    await history.flush()
+    await metadata.flush()
+  }
+
+  async warm (path) {
+    const files = await findSourceFiles(this, path)
+    const results = await Promise.all(
+      files.map(file =>
+        run(this, () => cachePath(this, file, 'warm'), {
+          key: file,
+          priority: PRIORITY.BACKGROUND
+        })
+      )
+    )
+    return files.filter((file, ix) => results[ix])
+  }
+
+  evict (path) {
+    const { catalog } = this[priv]
+    return run(this, async () => {
+      const files = []
+      for (const { path: file } of Array.from(catalog.values())) {
+        if (!isWithin(file, path)) continue
+        if (await uncacheFile(this, file)) {
+          this.emit('uncache', file)
+          files.push(file)
+        }
+      }
+      return files
+    })
+  }
+
+  async pin (path) {
+    const { sourceDir, pins, lstat } = this[priv]
+    await lstat(join(sourceDir, path)) // it must exist
+    if (pins.add(path)) await pins.save()
+    return this.warm(path)
+  }
+
+  async unpin (path) {
+    const { pins } = this[priv]
+    if (!pins.delete(path)) return false
+    await pins.save()
+    return true
+  }
+
+  pinned () {
+    return this[priv].pins.values()
+  }
+
+  history (query) {
+    return this[priv].history.report(query)
+  }
+
+  status () {
+    const p = this[priv]
+    return {
+      files: p.catalog.count,
+      bytes: p.catalog.bytes,
+      maxSize: p.cacheMaxSize,
+      open: p.openFiles.size,
+      queued: p.scheduler.pending,
+      pins: p.pins.count,
+      online: p.online
+    }
+  }
+
+  list () {
+    return Array.from(this[priv].catalog.values())
+      .map(entry => ({ ...entry }))
+      .sort((a, b) => (a.path < b.path ? -1 : 1))
+  }
 }
 
 function getPrivate ({
   sourceDir,
   cacheDir,
-  preloadSiblings,
-  preloadFilter,
-  preloadRead,
-  preloadOpen,
   mruSize = 10,
-  fs = realFs
+  historyDays,
+  historyMax,
+  metadataSize,
+  metadataPersist,
+  fs = realFs,
+  onError,
+  ...options
 }) {
+  const settings = getSettings(options)
   return {
+    ...settings,
     sourceDir,
     cacheDir,
-    preloadSiblings,
-    preloadFilter: ensureRegex(preloadFilter),
-    preloadRead,
-    preloadOpen,
+    catalog: new Catalog({
+      file: join(cacheDir, META_DIR, 'index.json'),
+      fs,
+      onError
+    }),
+    pins: new Pins({ file: join(cacheDir, META_DIR, 'pins.json'), fs }),
+    history: new History({
+      file: join(cacheDir, META_DIR, 'history.jsonl'),
+      fs,
+      days: historyDays,
+      maxRecords: historyMax,
+      onError
+    }),
+    predictor: new Predictor(),
+    metadata: new Metadata({
+      file: metadataPersist
+        ? join(cacheDir, META_DIR, 'metadata.json')
+        : undefined,
+      fs,
+      maxEntries: metadataSize,
+      onError
+    }),
+    online: true,
+    sourceTimer: undefined,
+    sourceChecked: 0,
+    staleChecks: new Map(),
     mruSize,
     mruFiles: new Map(),
     openFiles: new Map(),
-    lock: new PLock(),
+    copying: new Map(),
+    throttled: {},
+    scheduler: new Scheduler({ workers: settings.copyWorkers }),
     lstat: promisify(fs.lstat),
     readdir: promisify(fs.readdir),
-    copyFile: promisify(fs.copyFile),
+    readFile: promisify(fs.readFile),
+    open: promisify(fs.open),
+    read: promisify(fs.read),
+    write: promisify(fs.write),
+    close: promisify(fs.close),
     mkdir: promisify(fs.mkdir),
     rmdir: promisify(fs.rmdir),
     unlink: promisify(fs.unlink),
     utimes: promisify(fs.utimes),
-    filescan: path => filescan({ path, fs })
+    rename: promisify(fs.rename),
+    filescan: path => filescan({ path, fs }),
+    // looked up as needed, as not every fs-like has statfs
+    fs
   }
 }
 
+// the options which can be changed while running
+
+function getSettings ({
+  preloadSiblings,
+  preloadFilter,
+  preloadRead,
+  preloadOpen,
+  preloadStrategy,
+  cleanIgnore = /$./,
+  cleanAfter,
+  rules = [],
+  cacheMaxSize,
+  cacheHighWater = 100,
+  cacheLowWater = 90,
+  staleCheck = 60,
+  maxCopyRate,
+  maxOpenRate = maxCopyRate,
+  maxWarmRate = maxCopyRate,
+  copyWorkers = 1,
+  predictFiles = 0,
+  predictThreshold = 50,
+  predictBudget,
+  sourceCheck = 10,
+  metadataTtl = 0,
+  checksum = false,
+  maxVerifyRate,
+  minFree
+}) {
+  return {
+    preloadSiblings,
+    preloadFilter: ensureRegex(preloadFilter),
+    preloadRead,
+    preloadOpen,
+    preloadStrategy: getStrategy(preloadStrategy),
+    cleanIgnore: ensureRegex(cleanIgnore),
+    cleanAfter,
+    rules: rules.map(compileRule).sort((a, b) => a.path.length - b.path.length),
+    cacheMaxSize: parseSize(cacheMaxSize),
+    cacheHighWater,
+    cacheLowWater,
+    staleCheck,
+    maxCopyRate: parseSize(maxCopyRate),
+    maxOpenRate: parseSize(maxOpenRate),
+    maxWarmRate: parseSize(maxWarmRate),
+    copyWorkers,
+    predictFiles,
+    predictThreshold,
+    predictBudget: parseSize(predictBudget),
+    sourceCheck,
+    metadataTtl,
+    checksum,
+    maxVerifyRate: parseSize(maxVerifyRate),
+    minFree: parseSize(minFree)
+  }
+}
+
+function compileRule ({ path, ...settings }) {
+  if (settings.preloadFilter) {
+    settings.preloadFilter = ensureRegex(settings.preloadFilter)
+  }
+  if (settings.cleanIgnore) {
+    settings.cleanIgnore = ensureRegex(settings.cleanIgnore)
+  }
+  if (settings.preloadStrategy) {
+    settings.preloadStrategy = getStrategy(settings.preloadStrategy)
+  }
+  return { path, settings }
+}
+
+// the settings in force for a path, from the rules for the dirs it is in
+
+function settingsFor (cache, path) {
+  const p = cache[priv]
+  const settings = {
+    cache: true,
+    preloadSiblings: p.preloadSiblings,
+    preloadFilter: p.preloadFilter,
+    preloadRead: p.preloadRead,
+    preloadOpen: p.preloadOpen,
+    preloadStrategy: p.preloadStrategy,
+    cleanAfter: p.cleanAfter,
+    cleanIgnore: p.cleanIgnore
+  }
+  for (const rule of p.rules) {
+    if (isWithin(path, rule.path)) Object.assign(settings, rule.settings)
+  }
+  return settings
+}
+
+function isCacheable (cache, path) {
+  const settings = settingsFor(cache, path)
+  return settings.cache && settings.preloadFilter.test(basename(path))
+}
+
+function isIgnored (cache, path, cleanIgnore) {
+  cleanIgnore = cleanIgnore || settingsFor(cache, path).cleanIgnore
+  return cleanIgnore.test(basename(path))
+}
+
+function isTempFile (path) {
+  return path.endsWith(TEMP_SUFFIX)
+}
+
+// the files of each source cached below a shared root are kept under
+// their own meta dir, so any meta dir in the path counts
+
+function isMetaFile (path) {
+  return path.split('/').includes(META_DIR)
+}
+
 function ensureRegex (rgx) {
   return rgx instanceof RegExp ? rgx : new RegExp(rgx)
 }
 
-async function execute (cache, fn) {
+async function execute (cache, fn, opts) {
   try {
-    await cache[priv].lock.exec(fn)
+    return await run(cache, fn, opts)
   } catch (err) {
+    // a failure because the source has gone is reported as such
+    if (!(await checkSource(cache))) return
     // istanbul ignore next
     cache.emit('error', err)
   }
 }
 
+// runs a job on the scheduler, passing back the result or error
+
+function run (cache, fn, { key, priority = PRIORITY.BACKGROUND, tag } = {}) {
+  return cache[priv].scheduler.add(fn, { key, priority, tag })
+}
+
+// checks whether the source is there, noting any change. While it is
+// online, this is done at most every sourceCheck seconds unless forced,
+// so that looking up missing files does not keep going back to it. While
+// offline, copies are held back and it is checked every sourceCheck
+// seconds
+
+async function checkSource (cache, force = false) {
+  const p = cache[priv]
+  const now = Date.now()
+  if (p.online && !force && now - p.sourceChecked < p.sourceCheck * 1000) {
+    return true
+  }
+  p.sourceChecked = now
+  let online = true
+  try {
+    await p.lstat(p.sourceDir)
+  } catch (err) {
+    online = false
+  }
+  if (online === p.online) return online
+
+  p.online = online
+  p.mruFiles.clear()
+  if (online) {
+    clearInterval(p.sourceTimer)
+    p.scheduler.resume()
+    cache.emit('source-up', p.sourceDir)
+  } else {
+    p.scheduler.pause(key => key !== undefined)
+    p.sourceTimer = setInterval(
+      () => checkSource(cache, true),
+      p.sourceCheck * 1000
+    )
+    p.sourceTimer.unref()
+    cache.emit('source-down', p.sourceDir)
+  }
+  return online
+}
+
+// how long what is held from the source stays good, which is for ever
+// while it is offline
+
+function metadataAge (cache) {
+  const p = cache[priv]
+  return p.online ? p.metadataTtl * 1000 : Infinity
+}
+
+// stats a file in the source, telling a missing file from an offline
+// source
+
+async function sourceStats (cache, path) {
+  const p = cache[priv]
+  const { metadata, sourceDir } = p
+  let stats = metadata.stats(path, metadataAge(cache))
+  if (stats) return stats
+  if (p.online) {
+    try {
+      stats = await p.lstat(join(sourceDir, path))
+      if (p.metadataTtl) metadata.setStats(path, stats)
+      return stats
+    } catch (err) {
+      if (await checkSource(cache)) throw err
+    }
+  }
+  throw offlineError(path)
+}
+
+// fails unless the source can be read, and has something in it - as an
+// empty one may just not be mounted
+
+async function ensureSource (cache) {
+  const { sourceDir, readdir } = cache[priv]
+  if ((await checkSource(cache, true)) && (await readdir(sourceDir)).length) {
+    return
+  }
+  throw offlineError('/')
+}
+
+function offlineError (path) {
+  const err = new Error(`EHOSTDOWN: source is offline: ${path}`)
+  err.code = 'EHOSTDOWN'
+  return err
+}
+
+function isOpen (cache, path) {
+  for (const rec of cache[priv].openFiles.values()) {
+    if (rec.path === path) return true
+  }
+  return false
+}
+
+// compares a cached file with its source, unless this has been done
+// recently. If they differ, the record is switched over to the source
+// at once, and the cached copy removed in due course
+
+async function checkStale (cache, rec) {
+  const p = cache[priv]
+  const { sourceDir, lstat, catalog, staleCheck, staleChecks } = p
+  if (!staleCheck || !p.online || !rec.stats.isFile()) return
+
+  const last = staleChecks.get(rec.path)
+  if (last && Date.now() - last < staleCheck * 1000) return
+  markChecked(cache, rec.path)
+
+  const fullpath = join(sourceDir, rec.path)
+  let stats
+  try {
+    stats = await lstat(fullpath)
+  } catch (err) {
+    // istanbul ignore if
+    if (err.code !== 'ENOENT' && (await checkSource(cache))) throw err
+    return
+  }
+  const entry = catalog.get(rec.path)
+  if (!isStale(entry ? entryStats(entry) : rec.stats, stats)) return
+
+  cache.emit('stale', rec.path)
+  cache[priv].metadata.invalidate(rec.path)
+  Object.assign(rec, { cached: false, fullpath, stats })
+  execute(cache, () => removeStale(cache, rec.path))
+}
+
+// records that a file is known to match its source, forgetting any
+// checks too old to matter
+
+function markChecked (cache, path) {
+  const { staleCheck, staleChecks } = cache[priv]
+  const now = Date.now()
+  staleChecks.delete(path)
+  staleChecks.set(path, now)
+  for (const [file, when] of staleChecks) {
+    if (now - when < staleCheck * 1000) break
+    staleChecks.delete(file)
+  }
+}
+
+async function removeStale (cache, path) {
+  const { sourceDir, catalog, pins, lstat } = cache[priv]
+  const entry = catalog.get(path)
+  if (!entry) return
+  // it might have been refreshed in the meantime
+  if (!isStale(entryStats(entry), await lstat(join(sourceDir, path)))) return
+  if (await uncacheFile(cache, path)) cache.emit('uncache', path)
+  if (pins.has(path)) {
+    execute(cache, () => cachePath(cache, path, 'warm'), { key: path })
+  }
+}
+
+function entryStats ({ size, mtime }) {
+  return { size, mtimeMs: mtime }
+}
+
+function isStale (cached, source) {
+  return (
+    cached.size !== source.size ||
+    Math.floor(cached.mtimeMs / 1000) !== Math.floor(source.mtimeMs / 1000)
+  )
+}
+
 async function getFileSize (cache, rec) {
   const { stats } = await cache.locate(rec.path)
   rec.size = stats.size
 }
 
+// queues up the copies chosen by the strategy, with the nearest first
+
 async function requestCache (cache, reason, path) {
+  if (!cache[priv].online) return
+  const settings = settingsFor(cache, path)
   cache.emit('request', [reason, path])
-  const files = await getSiblings(cache, path)
-  for (const sib of files) {
-    if (await cacheFile(cache, sib)) {
-      cache.emit('cache', sib)
+  const files = new Set(
+    await settings.preloadStrategy(path, strategyContext(cache, settings))
+  )
+  Array.from(files).forEach((file, ix) => {
+    const priority =
+      ix === 0 ? PRIORITY.OPEN : ix === 1 ? PRIORITY.NEAR : PRIORITY.FAR
+    execute(cache, token => cachePath(cache, file, 'preload', token), {
+      key: file,
+      priority,
+      tag: path
+    })
+  })
+  if (cache[priv].predictFiles) {
+    execute(cache, () => predictNext(cache, path, settings), {
+      priority: PRIORITY.FAR
+    })
+  }
+}
+
+// once a dir is nearly done, queues up the first files of the dir most
+// likely to be played next, within the budget
+
+async function predictNext (cache, path, settings) {
+  const {
+    predictor,
+    predictFiles,
+    predictThreshold,
+    predictBudget,
+    catalog
+  } = cache[priv]
+  const context = strategyContext(cache, settings)
+  const dir = dirname(path)
+  const list = await context.files(dir)
+  if (list.length - list.indexOf(path) - 1 > settings.preloadSiblings) return
+
+  const next = predictor.predict(dir, predictThreshold)
+  if (!next) return
+  let files
+  try {
+    files = await context.files(next.dir)
+  } catch (err) {
+    // the dir has gone since it was played
+    if (err.code === 'ENOENT') return
+    throw err
+  }
+  cache.emit('request', ['predict', next.dir])
+
+  let budget = predictBudget || Infinity
+  for (const file of files.slice(0, predictFiles)) {
+    if (catalog.get(file)) continue
+    const { size } = await sourceStats(cache, file)
+    if (size > budget) break
+    budget -= size
+    execute(cache, token => cachePath(cache, file, 'preload', token), {
+      key: file,
+      priority: PRIORITY.FAR
+    })
+  }
+}
+
+// cancels the preloads (other than of open files) whose originating path
+// passes the test
+
+function cancelPreloads (cache, test) {
+  const { scheduler } = cache[priv]
+  const dropped = scheduler.cancel(
+    (key, origin) => origin !== undefined && !isOpen(cache, key) && test(origin)
+  )
+  dropped.forEach(path => cache.emit('cancel', path))
+}
+
+// learns the moves between dirs from the plays in the history
+
+async function learnHistory (cache) {
+  const { history, predictor } = cache[priv]
+  predictor.clear()
+  const records = await history.records()
+  records
+    .sort((a, b) => a.opened - b.opened)
+    .forEach(({ path }) => predictor.learn(dirname(path)))
+}
+
+async function cachePath (cache, path, kind, token) {
+  if (!(await cacheFile(cache, path, kind, token))) return false
+  cache.emit('cache', path)
+  return true
+}
+
+// queues up the copies of the files in a playlist, in order
+
+async function preloadPlaylist (cache, path) {
+  cache.emit('request', ['playlist', path])
+  const files = await readPlaylist(cache, path)
+  files
+    .filter(file => isCacheable(cache, file))
+    .forEach((file, ix) => {
+      const priority = ix === 0 ? PRIORITY.NEAR : PRIORITY.FAR
+      execute(cache, token => cachePath(cache, file, 'preload', token), {
+        key: file,
+        priority
+      })
+    })
+}
+
+async function readPlaylist (cache, path) {
+  const { sourceDir, readFile } = cache[priv]
+  const text = await readFile(join(sourceDir, path), 'utf8')
+  return parsePlaylist(path, text, sourceDir)
+}
+
+function strategyContext (cache, settings) {
+  return {
+    count: settings.preloadSiblings,
+    files: async dir => {
+      const names = (await cache.readdir(dir)).sort()
+      const files = names
+        .map(f => join(dir, f))
+        .filter(file => isCacheable(cache, file))
+      const order = []
+      for (const f of names.filter(isPlaylist)) {
+        order.push(...(await readPlaylist(cache, join(dir, f))))
+      }
+      return playlistOrder(files, order)
+    },
+    dirs: async dir => {
+      const dirs = []
+      for (const f of (await cache.readdir(dir)).sort()) {
+        const path = join(dir, f)
+        if ((await sourceStats(cache, path)).isDirectory()) dirs.push(path)
+      }
+      return dirs
     }
   }
 }
 
-async function getSiblings (cache, path) {
-  const { sourceDir, readdir, preloadSiblings, preloadFilter } = cache[priv]
+// the cacheable files at or beneath a path in the source
+
+async function findSourceFiles (cache, path) {
+  const { sourceDir, lstat, filescan } = cache[priv]
+  const fullpath = join(sourceDir, path)
+  if (!(await lstat(fullpath)).isDirectory()) return [path]
 
-  let files = await readdir(dirname(join(sourceDir, path)))
-  files = files.sort().filter(f => preloadFilter.test(f))
-  const ix = files.indexOf(basename(path))
-  return files
-    .slice(ix, ix + preloadSiblings + 1)
-    .map(f => join(dirname(path), f))
+  const files = []
+  for await (const { path: file, stats } of filescan(fullpath)) {
+    const found = '/' + relative(sourceDir, file)
+    if (stats.isFile() && isCacheable(cache, found)) files.push(found)
+  }
+  return files.sort()
 }
 
-async function cacheFile (cache, path) {
-  const { sourceDir, cacheDir, lstat, utimes, copyFile, mruFiles } = cache[priv]
+async function cacheFile (cache, path, kind = 'preload', token) {
+  const {
+    sourceDir,
+    cacheDir,
+    cacheMaxSize,
+    catalog,
+    metadata,
+    lstat,
+    utimes,
+    rename,
+    copying,
+    mruFiles,
+    checksum
+  } = cache[priv]
 
   const { cached } = await cache.locate(path)
   if (cached) return false
@@ -236,14 +1053,204 @@ async function cacheFile (cache, path) {
   const sourceFile = join(sourceDir, path)
   const destFile = join(cacheDir, path)
 
-  await mkdirs(cache, dirname(destFile))
-  await copyFile(sourceFile, destFile)
   const stats = await lstat(sourceFile)
-  await utimes(destFile, stats.atime, stats.mtime)
+  if (cacheMaxSize && stats.size > cacheMaxSize) return false
+  await enforceQuota(cache, stats.size)
+  if (!(await makeSpace(cache, path, stats.size))) {
+    cache.emit('nospace', [path, stats.size])
+    return false
+  }
+
+  const job = {
+    path,
+    sourceFile,
+    tempFile: destFile + TEMP_SUFFIX,
+    size: stats.size,
+    copied: 0,
+    rate: getCopyRate(cache, path, kind),
+    token,
+    hash: checksum ? createHash(HASH) : undefined
+  }
+  const start = Date.now()
+  copying.set(path, job)
+  try {
+    await mkdirs(cache, dirname(destFile))
+    if (!(await copyChunks(cache, job))) {
+      await discardCopy(cache, job)
+      cache.emit('cancel', path)
+      return false
+    }
+    if (job.hash) {
+      job.checksum = job.hash.digest('hex')
+      const copied = await hashFile(cache, job.tempFile, job.rate)
+      if (copied !== job.checksum) {
+        await discardCopy(cache, job)
+        cache.emit('corrupt', path)
+        return false
+      }
+    }
+    await utimes(job.tempFile, stats.atime, stats.mtime)
+    await rename(job.tempFile, destFile)
+  } catch (err) {
+    await discardCopy(cache, job)
+    // istanbul ignore if
+    if (err.code !== 'ENOSPC') throw err
+    cache.emit('nospace', [path, stats.size])
+    return false
+  } finally {
+    copying.delete(path)
+  }
+  catalog.set(path, {
+    size: stats.size,
+    mtime: stats.mtimeMs,
+    checksum: job.checksum
+  })
+  markChecked(cache, path)
+  metadata.invalidate(path)
   mruFiles.delete(path)
+  cache.emit('copied', [path, stats.size, Date.now() - start])
+  return true
+}
+
+// leaves nothing behind of a copy which did not finish, whatever went
+// wrong
+
+async function discardCopy (cache, job) {
+  const { unlink, copying } = cache[priv]
+  copying.delete(job.path)
+  await unlink(job.tempFile).catch(() => {})
+  await rmdirs(cache, dirname(job.tempFile)).catch(() => {})
+}
+
+// the rate option which limits a copy
+
+function getCopyRate (cache, path, kind) {
+  if (isOpen(cache, path)) return 'maxOpenRate'
+  return kind === 'warm' ? 'maxWarmRate' : 'maxCopyRate'
+}
+
+// waits as long as needed to keep the jobs limited by a rate option, all
+// together, within it. For each, the time is kept by which what has been
+// read so far would have been, had it gone at that rate
+
+async function throttle (cache, rate, bytes) {
+  const p = cache[priv]
+  if (!p[rate]) return
+  const now = Date.now()
+  const due = Math.max(p.throttled[rate] || 0, now) + (bytes * 1000) / p[rate]
+  p.throttled[rate] = due
+  if (due > now) await delay(due - now)
+}
+
+async function copyChunks (cache, job) {
+  const { open, read, write, close } = cache[priv]
+  const buffer = Buffer.alloc(COPY_CHUNK)
+  const src = await open(job.sourceFile, 'r')
+  try {
+    const dst = await open(job.tempFile, 'w')
+    try {
+      while (true) {
+        if (job.token && job.token.cancelled) return false
+        const n = count(await read(src, buffer, 0, COPY_CHUNK, job.copied))
+        if (!n) break
+        if (job.hash) job.hash.update(buffer.slice(0, n))
+        let written = 0
+        while (written < n) {
+          written += count(
+            await write(dst, buffer, written, n - written, job.copied + written)
+          )
+        }
+        job.copied += n
+        await throttle(cache, job.rate, n)
+      }
+    } finally {
+      await close(dst)
+    }
+  } finally {
+    await close(src)
+  }
   return true
 }
 
+// the checksum of a file, read within the limit of the rate option given
+
+async function hashFile (cache, file, rate) {
+  const { open, read, close } = cache[priv]
+  const hash = createHash(HASH)
+  const buffer = Buffer.alloc(COPY_CHUNK)
+  const fd = await open(file, 'r')
+  try {
+    let pos = 0
+    while (true) {
+      const n = count(await read(fd, buffer, 0, COPY_CHUNK, pos))
+      if (!n) break
+      hash.update(buffer.slice(0, n))
+      pos += n
+      await throttle(cache, rate, n)
+    }
+  } finally {
+    await close(fd)
+  }
+  return hash.digest('hex')
+}
+
+// re-reads a cached file to check it against its checksum. If it does not
+// match, it is removed, and copied again if it is wanted. Resolves false
+// if it did not match
+
+async function verifyFile (cache, path) {
+  const { cacheDir, catalog, pins } = cache[priv]
+  const entry = catalog.get(path)
+  if (!entry || !entry.checksum) return true
+  let checksum
+  try {
+    checksum = await hashFile(cache, join(cacheDir, path), 'maxVerifyRate')
+  } catch (err) {
+    // istanbul ignore if
+    if (err.code !== 'ENOENT') throw err
+    return true
+  }
+  // it may have been replaced meanwhile
+  if (catalog.get(path) !== entry) return true
+  if (checksum === entry.checksum) {
+    cache.emit('verified', path)
+    return true
+  }
+
+  cache.emit('corrupt', path)
+  if (await uncacheFile(cache, path)) cache.emit('uncache', path)
+  if (pins.has(path) || isOpen(cache, path)) {
+    execute(cache, () => cachePath(cache, path, 'warm'), { key: path })
+  }
+  return false
+}
+
+// reads from a file we open ourselves, giving undefined if it has gone
+
+async function readFrom (cache, file, buffer, length, position) {
+  const { open, read, close } = cache[priv]
+  let fd
+  try {
+    fd = await open(file, 'r')
+  } catch (err) {
+    return undefined
+  }
+  try {
+    return count(await read(fd, buffer, 0, length, position))
+  } finally {
+    await close(fd)
+  }
+}
+
+// fs.read & fs.write promisify to an object, but fs-likes may just give
+// the count
+
+function count (result) {
+  return typeof result === 'number'
+    ? result
+    : result.bytesRead || result.bytesWritten || 0
+}
+
 async function mkdirs (cache, dir) {
   const { mkdir } = cache[priv]
   try {
@@ -258,21 +1265,38 @@ async function mkdirs (cache, dir) {
 }
 
 async function uncacheFile (cache, path) {
-  const { sourceDir, cacheDir, unlink } = cache[priv]
+  const { sourceDir, cacheDir, catalog, metadata, unlink, mruFiles } = cache[
+    priv
+  ]
+
+  // it may have gone already, if removed by another worker
+  const entry = catalog.get(path)
+  if (!entry) return false
 
   const fullpath = join(cacheDir, path)
   // adjust the cache in case some about to read
-  const rec = await cache.locate(path)
-  rec.cached = false
-  rec.fullpath = join(sourceDir, path)
+  const rec = mruFiles.get(path)
+  if (rec) {
+    rec.cached = false
+    rec.fullpath = join(sourceDir, path)
+  }
 
+  catalog.delete(path)
+  metadata.invalidate(path)
   await unlink(fullpath)
   await rmdirs(cache, dirname(fullpath))
+  cache.emit('removed', [path, entry.size])
+  return true
 }
 
 async function rmdirs (cache, dir) {
-  const { cacheDir, rmdir } = cache[priv]
+  const { cacheDir, rmdir, copying } = cache[priv]
   if (dir === cacheDir) return
+  // a copy under way may be about to write there
+  const path = '/' + relative(cacheDir, dir)
+  for (const file of copying.keys()) {
+    if (isWithin(file, path)) return
+  }
   try {
     await rmdir(dir)
     await rmdirs(cache, dirname(dir))
@@ -281,3 +1305,148 @@ async function rmdirs (cache, dir) {
     if (err.code !== 'ENOTEMPTY') throw err
   }
 }
+
+// checks the size against the catalog, or the source if not catalogued
+
+async function isTruncated (cache, path, stats) {
+  const { sourceDir, catalog, lstat } = cache[priv]
+  const entry = catalog.get(path)
+  if (entry) return entry.size !== stats.size
+  try {
+    const source = await lstat(join(sourceDir, path))
+    return source.size !== stats.size
+  } catch (err) {
+    // istanbul ignore if
+    if (err.code !== 'ENOENT') throw err
+    return false
+  }
+}
+
+// the cached files, other than pinned ones, whose source has gone
+
+async function selectOrphans (cache) {
+  const { sourceDir, catalog, pins, lstat } = cache[priv]
+  await ensureSource(cache)
+  const files = []
+  for (const { path } of Array.from(catalog.values())) {
+    if (pins.has(path)) continue
+    try {
+      await lstat(join(sourceDir, path))
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+      files.push(path)
+    }
+  }
+  return files.sort()
+}
+
+// the files not accessed in the last `cleanAfter` seconds (or as set by
+// the rules for each)
+
+function selectExpired (cache, cleanIgnore, cleanAfter) {
+  const { catalog, pins } = cache[priv]
+  const now = Date.now()
+  return Array.from(catalog.values())
+    .filter(({ path, accessed }) => {
+      if (pins.has(path) || isIgnored(cache, path, cleanIgnore)) return false
+      const age =
+        cleanAfter === undefined
+          ? settingsFor(cache, path).cleanAfter
+          : cleanAfter
+      return accessed < now - age * 1000
+    })
+    .map(({ path }) => path)
+}
+
+// the least recently accessed files (other than those pinned, ignored or
+// already going) which should be evicted if adding `needed` bytes would take us
+// over the high water mark
+
+function selectForEviction (cache, cleanIgnore, needed, going = []) {
+  const {
+    catalog,
+    pins,
+    copying,
+    cacheMaxSize,
+    cacheHighWater,
+    cacheLowWater
+  } = cache[priv]
+  if (!cacheMaxSize) return []
+
+  const high = (cacheMaxSize * cacheHighWater) / 100
+  const low = (cacheMaxSize * cacheLowWater) / 100
+  const skip = new Set(going)
+  let bytes = catalog.bytes
+  for (const path of going) bytes -= catalog.get(path).size
+  for (const job of copying.values()) bytes += job.size
+  if (bytes + needed <= high) return []
+
+  const files = Array.from(catalog.values())
+    .filter(({ path }) => !skip.has(path) && !pins.has(path))
+    .filter(({ path }) => !isIgnored(cache, path, cleanIgnore))
+    .sort((a, b) => a.accessed - b.accessed)
+
+  const selected = []
+  for (const { path, size } of files) {
+    if (bytes + needed <= low) break
+    selected.push(path)
+    bytes -= size
+  }
+  return selected
+}
+
+async function enforceQuota (cache, needed = 0) {
+  for (const path of selectForEviction(cache, undefined, needed)) {
+    if (await uncacheFile(cache, path)) cache.emit('uncache', path)
+  }
+}
+
+// makes room on the cache disk for a copy, by evicting the least recently
+// accessed files, resolving false if it cannot
+
+async function makeSpace (cache, path, needed) {
+  const { catalog, pins, copying, minFree, fs } = cache[priv]
+  if (!fs.statfs) return true
+  if ((await freeSpace(cache)) >= needed + minFree) return true
+
+  const files = Array.from(catalog.values())
+    .filter(({ path: file }) => !pins.has(file) && !isOpen(cache, file))
+    .filter(({ path: file }) => file !== path && !copying.has(file))
+    .sort((a, b) => a.accessed - b.accessed)
+  for (const { path: file } of files) {
+    if (await uncacheFile(cache, file)) cache.emit('uncache', file)
+    if ((await freeSpace(cache)) >= needed + minFree) return true
+  }
+  return false
+}
+
+// the bytes free on the cache disk, less those still to be written by
+// copies under way
+
+async function freeSpace (cache) {
+  const { cacheDir, copying, fs } = cache[priv]
+  const { bavail, bsize } = await promisify(fs.statfs)(cacheDir)
+  let free = bavail * bsize
+  for (const job of copying.values()) free -= job.size - job.copied
+  return free
+}
+
+async function * scanCache (cache) {
+  const { cacheDir, filescan } = cache[priv]
+  for await (const { path, stats } of filescan(cacheDir)) {
+    if (!stats.isFile()) continue
+    const file = '/' + relative(cacheDir, path)
+    if (!isMetaFile(file)) yield { path, file, stats }
+  }
+}
+
+function addToCatalog (cache, path, stats) {
+  const { catalog } = cache[priv]
+  if (catalog.get(path)) return
+  catalog.set(path, {
+    size: stats.size,
+    mtime: stats.mtimeMs,
+    cachedAt: stats.ctimeMs,
+    accessed: stats.atimeMs
+  })
+}
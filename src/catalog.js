@@ -0,0 +1,165 @@
+'use strict'
+
+import realFs from 'fs'
+import { promisify } from 'util'
+import { getSaver } from './util'
+
+/*
+ * Catalog
+ *
+ * The persistent index of the files in the cache. Each entry holds
+ *
+ *  - path: relative to the source/cache dirs
+ *  - size: in bytes
+ *  - mtime: mtime (ms) of the source when it was copied
+ *  - cachedAt: when it was copied (ms)
+ *  - accessed: when it was last hit (ms)
+ *  - hits: how many times it has been hit
+ *  - checksum: of the contents when copied, if recorded
+ *
+ * It is held in memory, and written to disk (atomically) shortly after
+ * any change.
+ *
+ * Construction
+ *    - file: where the index is stored
+ *    - fs: the fs-like to use
+ *    - saveDelay: ms to wait before writing out changes
+ *    - onError: called if a delayed write fails
+ *
+ * Public API
+ *
+ *  - load() - reads from disk, resolving false if missing or corrupt
+ *  - clear() - empties the index
+ *  - get(path) - returns the entry, if any
+ *  - set(path, { size, mtime, checksum, ... }) - records a file as cached
+ *  - delete(path) - records a file as uncached
+ *  - touch(path) - records a hit
+ *  - values() - iterates over the entries
+ *  - count, bytes - number and total size of the entries
+ *  - save() - writes to disk now
+ *  - flush() - writes to disk if there are pending changes
+ */
+
+const priv = Symbol('priv')
+
+export default class Catalog {
+  constructor (options) {
+    Object.defineProperty(this, priv, { value: getPrivate(options) })
+  }
+
+  get count () {
+    return this[priv].entries.size
+  }
+
+  get bytes () {
+    return this[priv].bytes
+  }
+
+  async load () {
+    const { file, readFile } = this[priv]
+    let data
+    try {
+      data = JSON.parse(await readFile(file, 'utf8'))
+    } catch (err) {
+      return false
+    }
+    if (!data || !Array.isArray(data.entries)) return false
+    if (!data.entries.every(isValidEntry)) return false
+
+    this[priv].entries.clear()
+    this[priv].bytes = 0
+    for (const entry of data.entries) {
+      this[priv].entries.set(entry.path, entry)
+      this[priv].bytes += entry.size
+    }
+    return true
+  }
+
+  clear () {
+    this[priv].entries.clear()
+    this[priv].bytes = 0
+    changed(this)
+  }
+
+  get (path) {
+    return this[priv].entries.get(path)
+  }
+
+  set (path, { size, mtime, cachedAt, accessed, hits = 0, checksum }) {
+    const now = Date.now()
+    this.delete(path)
+    const entry = {
+      path,
+      size,
+      mtime,
+      cachedAt: cachedAt || now,
+      accessed: accessed || now,
+      hits
+    }
+    if (checksum) entry.checksum = checksum
+    this[priv].entries.set(path, entry)
+    this[priv].bytes += size
+    changed(this)
+    return entry
+  }
+
+  delete (path) {
+    const { entries } = this[priv]
+    const entry = entries.get(path)
+    if (!entry) return false
+    entries.delete(path)
+    this[priv].bytes -= entry.size
+    changed(this)
+    return true
+  }
+
+  touch (path) {
+    const entry = this.get(path)
+    if (!entry) return
+    entry.accessed = Date.now()
+    entry.hits++
+    changed(this)
+  }
+
+  values () {
+    return this[priv].entries.values()
+  }
+
+  async save () {
+    return this[priv].saver.save()
+  }
+
+  async flush () {
+    return this[priv].saver.flush()
+  }
+}
+
+function getPrivate ({
+  file,
+  fs = realFs,
+  saveDelay = 5000,
+  onError = () => {}
+}) {
+  const entries = new Map()
+  const data = () => ({ entries: Array.from(entries.values()) })
+  return {
+    file,
+    entries,
+    bytes: 0,
+    saver: getSaver({ file, fs, data, saveDelay, onError }),
+    readFile: promisify(fs.readFile)
+  }
+}
+
+function isValidEntry (entry) {
+  return (
+    entry &&
+    typeof entry.path === 'string' &&
+    typeof entry.size === 'number' &&
+    typeof entry.accessed === 'number'
+  )
+}
+
+function changed (catalog) {
+  catalog[priv].saver.changed()
+}
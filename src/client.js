@@ -0,0 +1,42 @@
+'use strict'
+
+import net from 'net'
+
+/*
+ * client
+ *
+ * Talks to a running cache over its control socket
+ *
+ */
+
+// sends a request, resolving with the result or rejecting with the error
+
+export default function request (socketPath, req) {
+  return new Promise((resolve, reject) => {
+    let data = ''
+    const socket = net.connect(socketPath, () => {
+      socket.write(JSON.stringify(req) + '\n')
+    })
+    socket.setEncoding('utf8')
+    socket.on('error', reject)
+    socket.on('data', chunk => {
+      data += chunk
+      if (!data.endsWith('\n')) return
+      socket.end()
+      const resp = JSON.parse(data)
+      if (resp.ok) resolve(resp.result)
+      else reject(new Error(resp.error))
+    })
+  })
+}
+
+export function isRunning (socketPath) {
+  if (!socketPath) return Promise.resolve(false)
+  return new Promise(resolve => {
+    const socket = net.connect(socketPath, () => {
+      socket.end()
+      resolve(true)
+    })
+    socket.on('error', () => resolve(false))
+  })
+}
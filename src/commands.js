@@ -0,0 +1,243 @@
+'use strict'
+
+import { createCache, parseSources, isSharedCacheDir } from './sources'
+import request, { isRunning } from './client'
+import { getSocketPath } from './control'
+import { loadConfig } from './config'
+import { checkPath, formatSize } from './util'
+
+/*
+ * commands
+ *
+ * The management commands. Each works through the control socket of a
+ * running instance if there is one, or directly on the cache dir if not.
+ *
+ * Options come from any config file as well as the command line. An age
+ * or filter given to clean on the command line overrides the rules.
+ *
+ * With several sources, only warm, sweep and verify can work without a
+ * running instance, as the others are not told the sources. Rather than
+ * treat a cache dir shared by several sources as one cache, they refuse
+ * to run on it.
+ *
+ */
+
+export function status (cacheDir, options) {
+  return command({ ...options, cacheDir }, async ({ send, cache }) => {
+    let stats, files, pins
+    if (send) {
+      stats = await send({ cmd: 'status' })
+      files = await send({ cmd: 'list' })
+      pins = await send({ cmd: 'pins' })
+    } else {
+      await cache.load()
+      stats = cache.status()
+      files = cache.list()
+      pins = cache.pinned()
+    }
+
+    const byAccess = files.slice().sort((a, b) => a.accessed - b.accessed)
+    const max = stats.maxSize ? ` (max ${formatSize(stats.maxSize)})` : ''
+    print('running', send ? 'yes' : 'no')
+    print('files', stats.files)
+    print('size', formatSize(stats.bytes) + max)
+    if (stats.online === false) print('source', 'offline')
+    for (const [name, source] of Object.entries(stats.sources || {})) {
+      const offline = source.online ? '' : ' (offline)'
+      print(
+        name,
+        `${source.files} files, ${formatSize(source.bytes)}${offline}`
+      )
+    }
+    if (byAccess.length) {
+      print('oldest', describe(byAccess[0]))
+      print('newest', describe(byAccess[byAccess.length - 1]))
+    }
+    pins.forEach(path => print('pinned', path))
+  })
+}
+
+export function warm (sourceDir, cacheDir, path, options) {
+  return command(
+    { ...options, sourceDir, cacheDir },
+    async ({ send, cache }) => {
+      path = checkPath(path)
+      let files
+      if (send) {
+        files = await send({ cmd: 'cache', path })
+      } else {
+        await cache.recover()
+        files = await cache.warm(path)
+      }
+      files.forEach(file => console.log(`CACHE   ${file}`))
+    }
+  )
+}
+
+export function evict (cacheDir, path, options) {
+  return command({ ...options, cacheDir }, async ({ send, cache }) => {
+    path = checkPath(path)
+    let files
+    if (send) {
+      files = await send({ cmd: 'uncache', path })
+    } else {
+      await cache.load()
+      files = await cache.evict(path)
+    }
+    files.forEach(file => console.log(`UNCACHE ${file}`))
+  })
+}
+
+export function pin (sourceDir, cacheDir, path, options) {
+  return command(
+    { ...options, sourceDir, cacheDir },
+    async ({ send, cache }) => {
+      path = checkPath(path)
+      let files
+      if (send) {
+        files = await send({ cmd: 'pin', path })
+      } else {
+        await cache.recover()
+        files = await cache.pin(path)
+      }
+      console.log(`PIN     ${path}`)
+      files.forEach(file => console.log(`CACHE   ${file}`))
+    }
+  )
+}
+
+export function unpin (cacheDir, path, options) {
+  return command({ ...options, cacheDir }, async ({ send, cache }) => {
+    path = checkPath(path)
+    let found
+    if (send) {
+      found = await send({ cmd: 'unpin', path })
+    } else {
+      await cache.load()
+      found = await cache.unpin(path)
+    }
+    if (!found) throw new Error(`Not pinned: ${path}`)
+    console.log(`UNPIN   ${path}`)
+  })
+}
+
+export function history (cacheDir, options) {
+  const { since, limit } = options
+  const query = {
+    since: since ? Date.now() - since * 24 * 60 * 60 * 1000 : 0,
+    limit
+  }
+  return command({ ...options, cacheDir }, async ({ send, cache }) => {
+    const report = send
+      ? await send({ cmd: 'history', ...query })
+      : await cache.history(query)
+
+    console.log('most played')
+    for (const { dir, plays } of report.dirs) {
+      console.log(`${String(plays).padStart(6)} ${dir}`)
+    }
+    console.log('hit ratio')
+    for (const { date, hits, misses, ratio } of report.ratio) {
+      const pct = `${Math.round(ratio * 100)}%`.padStart(4)
+      console.log(`${date} ${pct} (${hits} hits, ${misses} misses)`)
+    }
+    console.log('always missed')
+    for (const { path, opens } of report.misses) {
+      console.log(`${String(opens).padStart(6)} ${path}`)
+    }
+  })
+}
+
+export function clean (cacheDir, options) {
+  const { cleanAfter: age, cleanIgnore: ignore, dryRun } = options
+  return command({ ...options, cacheDir }, async ({ send, cache }) => {
+    let files
+    if (send) {
+      files = await send({ cmd: 'clean', age, ignore, dryRun })
+    } else {
+      await cache.load()
+      files = await cache.clean(ignore, age, dryRun)
+    }
+    const prefix = dryRun ? 'WOULD   ' : 'UNCACHE '
+    files.forEach(file => console.log(prefix + file))
+  })
+}
+
+export function sweep (sourceDir, cacheDir, options) {
+  const { dryRun } = options
+  return command(
+    { ...options, sourceDir, cacheDir },
+    async ({ send, cache }) => {
+      let files
+      if (send) {
+        files = await send({ cmd: 'sweep', dryRun })
+      } else {
+        await cache.load()
+        files = await cache.sweep(dryRun)
+      }
+      const prefix = dryRun ? 'WOULD   ' : 'UNCACHE '
+      files.forEach(file => console.log(prefix + file))
+    }
+  )
+}
+
+export function verify (sourceDir, cacheDir, path, options) {
+  return command(
+    { ...options, sourceDir, cacheDir },
+    async ({ send, cache }) => {
+      path = checkPath(path)
+      let files
+      if (send) {
+        files = await send({ cmd: 'verify', path })
+      } else {
+        await cache.load()
+        files = await cache.verify(path)
+      }
+      files.forEach(file => console.log(`CORRUPT ${file}`))
+    }
+  )
+}
+
+// runs a command against the running instance if there is one, or else
+// against a cache of our own, which is closed afterwards
+
+async function command (options, fn) {
+  let cache
+  try {
+    options = loadConfig(options)
+    const socketPath = getSocketPath(options)
+    if (await isRunning(socketPath)) {
+      await fn({ send: req => request(socketPath, req) })
+    } else {
+      const { cacheDir } = options
+      if (!parseSources(options) && isSharedCacheDir(cacheDir)) {
+        throw new Error(
+          `${cacheDir} is shared by several sources: run this with the ` +
+            'instance running, or on the cache dir of one source'
+        )
+      }
+      cache = createCache(options)
+      // fail the command with the first error, rather than just
+      // reporting it
+      let error
+      cache.on('error', err => {
+        error = error || err
+      })
+      await fn({ cache })
+      if (error) throw error
+    }
+  } catch (err) {
+    console.error(err.message)
+    process.exitCode = 1
+  } finally {
+    if (cache) await cache.close()
+  }
+}
+
+function describe ({ path, accessed }) {
+  return `${new Date(accessed).toISOString()} ${path}`
+}
+
+function print (label, value) {
+  console.log(`${label.padEnd(7)}: ${value}`)
+}
@@ -0,0 +1,289 @@
+'use strict'
+
+import realFs from 'fs'
+import { parseSize } from './util'
+import { getStrategy } from './strategies'
+
+/*
+ * config
+ *
+ * Works out the options in force, from the defaults, then any config
+ * file given by --config, and finally the command line.
+ *
+ * The config file is JSON, holding any of the options below (in camel or
+ * kebab case), and optionally a list of rules, each applying some of the
+ * preload and clean options to the files under a path. Where rules
+ * overlap, the one with the longer path wins. For example
+ *
+ *    {
+ *      "cacheMaxSize": "200G",
+ *      "rules": [
+ *        { "path": "/classical", "preloadStrategy": "album" },
+ *        { "path": "/podcasts", "cache": false },
+ *        { "path": "/audiobooks", "cleanAfter": 2592000 }
+ *      ]
+ *    }
+ *
+ * Anything invalid is reported when the options are loaded, naming the
+ * option and where it came from.
+ *
+ * With several sources (see sources), each can be given its own cache dir
+ * and quota, under "sources". Those left sharing the cache dir without a
+ * quota of their own split cacheMaxSize between them.
+ *
+ * Options can be reloaded while running, but those which set up the
+ * control socket, metrics or mount cannot change without a restart.
+ *
+ */
+
+export const DEFAULTS = {
+  preloadSiblings: 3,
+  preloadFilter: '^.*\\.flac$',
+  preloadRead: 50,
+  preloadOpen: 2000,
+  preloadStrategy: 'siblings',
+  cleanAfter: 6 * 60 * 60,
+  cleanIgnore: '^.*[^\\d-](1[-0])?0?1\\.flac$',
+  cacheHighWater: 100,
+  cacheLowWater: 90,
+  staleCheck: 60,
+  copyWorkers: 2,
+  predictFiles: 0,
+  predictThreshold: 50,
+  predictBudget: '200M',
+  sourceCheck: 10,
+  metadataTtl: 0,
+  metadataSize: 10000,
+  metadataPersist: false,
+  checksum: false,
+  scrubInterval: 0,
+  metricsInterval: 15,
+  historyDays: 90,
+  historyMax: 100000
+}
+
+const number = value => typeof value === 'number' && value >= 0
+const string = value => typeof value === 'string' && value !== ''
+const boolean = value => typeof value === 'boolean'
+
+const TYPES = {
+  number: [number, 'a number'],
+  string: [string, 'a string'],
+  boolean: [boolean, 'true or false'],
+  size: [isSize, 'a size, eg 20G'],
+  regex: [isRegex, 'a regex'],
+  strategy: [isStrategy, 'a preload strategy or module'],
+  control: [value => value === false || string(value), 'a path or false'],
+  logFormat: [value => value === 'text' || value === 'json', 'text or json'],
+  levels: [
+    value => isObject(value) || /^([\w-]+=\d+,?)*$/.test(value),
+    'a list of event=level'
+  ],
+  level: [
+    value => number(value) || boolean(value) || Array.isArray(value),
+    'a number'
+  ]
+}
+
+const OPTIONS = {
+  preloadSiblings: 'number',
+  preloadFilter: 'regex',
+  preloadRead: 'number',
+  preloadOpen: 'number',
+  preloadStrategy: 'strategy',
+  cleanAfter: 'number',
+  cleanIgnore: 'regex',
+  cacheMaxSize: 'size',
+  cacheHighWater: 'number',
+  cacheLowWater: 'number',
+  minFree: 'size',
+  staleCheck: 'number',
+  maxCopyRate: 'size',
+  maxOpenRate: 'size',
+  maxWarmRate: 'size',
+  maxVerifyRate: 'size',
+  checksum: 'boolean',
+  scrubInterval: 'number',
+  copyWorkers: 'number',
+  predictFiles: 'number',
+  predictThreshold: 'number',
+  predictBudget: 'size',
+  sourceCheck: 'number',
+  metadataTtl: 'number',
+  metadataSize: 'number',
+  metadataPersist: 'boolean',
+  control: 'control',
+  metricsPort: 'number',
+  metricsFile: 'string',
+  metricsInterval: 'number',
+  verbose: 'level',
+  logFormat: 'logFormat',
+  logFile: 'string',
+  logMaxSize: 'size',
+  logKeep: 'number',
+  logLevels: 'levels',
+  historyDays: 'number',
+  historyMax: 'number'
+}
+
+const FIXED = [
+  'control',
+  'metricsPort',
+  'metricsFile',
+  'metricsInterval',
+  'fuse',
+  'sources',
+  'logFile',
+  'logMaxSize',
+  'logKeep',
+  'historyDays',
+  'historyMax',
+  'metadataSize',
+  'metadataPersist'
+]
+
+const RULE_OPTIONS = {
+  preloadSiblings: 'number',
+  preloadFilter: 'regex',
+  preloadRead: 'number',
+  preloadOpen: 'number',
+  preloadStrategy: 'strategy',
+  cleanAfter: 'number',
+  cleanIgnore: 'regex',
+  cache: 'boolean'
+}
+
+const SOURCE_OPTIONS = {
+  cacheDir: 'string',
+  cacheMaxSize: 'size',
+  cacheHighWater: 'number',
+  cacheLowWater: 'number',
+  minFree: 'size'
+}
+
+export function loadConfig (options, fs = realFs) {
+  const { config: file } = options
+  const config = file ? readConfig(file, fs) : {}
+
+  const cli = {}
+  for (const key of Object.keys(OPTIONS)) {
+    if (options[key] !== undefined) cli[key] = options[key]
+  }
+  check(cli, OPTIONS, 'command line')
+
+  return { ...options, ...DEFAULTS, ...config, ...cli }
+}
+
+// which options differ between two sets, split into those which can be
+// changed while running and those which cannot
+
+export function compareConfig (current, next) {
+  const changed = []
+  const rejected = []
+  for (const key of [...Object.keys(OPTIONS), 'rules', 'sources', 'fuse']) {
+    if (JSON.stringify(current[key]) === JSON.stringify(next[key])) continue
+    if (FIXED.includes(key)) rejected.push(key)
+    else changed.push(key)
+  }
+  return { changed, rejected }
+}
+
+function readConfig (file, fs) {
+  let data
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (err) {
+    throw new Error(`Could not read config file ${file}: ${err.message}`)
+  }
+  if (!isObject(data)) throw new Error(`${file}: must hold an object`)
+
+  const { rules = [], sources, ...config } = camelCase(data)
+  check(config, OPTIONS, file, true)
+  if (sources !== undefined) config.sources = readSources(sources, file)
+
+  if (!Array.isArray(rules)) throw new Error(`${file}: rules must be a list`)
+  return {
+    ...config,
+    rules: rules.map((rule, ix) => {
+      const where = `${file}: rule ${ix + 1}`
+      if (!isObject(rule)) throw new Error(`${where}: must be an object`)
+      const { path, ...settings } = camelCase(rule)
+      if (!string(path) || !path.startsWith('/')) {
+        throw new Error(`${where}: path must be absolute`)
+      }
+      check(settings, RULE_OPTIONS, where, true)
+      return { path: path.replace(/(.)\/+$/, '$1'), ...settings }
+    })
+  }
+}
+
+function readSources (sources, file) {
+  if (!isObject(sources)) throw new Error(`${file}: sources must be an object`)
+  const out = {}
+  for (const [name, source] of Object.entries(sources)) {
+    const where = `${file}: source ${name}`
+    if (!isObject(source)) throw new Error(`${where}: must be an object`)
+    out[name] = camelCase(source)
+    check(out[name], SOURCE_OPTIONS, where, true)
+  }
+  return out
+}
+
+function check (options, types, where, strict) {
+  for (const [key, value] of Object.entries(options)) {
+    if (!types[key]) {
+      if (strict) throw new Error(`${where}: unknown option ${key}`)
+      continue
+    }
+    const [valid, desc] = TYPES[types[key]]
+    if (!valid(value)) {
+      throw new Error(`${where}: ${toKebab(key)} must be ${desc}`)
+    }
+  }
+}
+
+function isSize (value) {
+  try {
+    parseSize(value)
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+function isRegex (value) {
+  if (value instanceof RegExp) return true
+  if (!string(value)) return false
+  try {
+    RegExp(value)
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+function isStrategy (value) {
+  if (!string(value)) return false
+  try {
+    getStrategy(value)
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+function isObject (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function camelCase (obj) {
+  const out = {}
+  for (const [key, value] of Object.entries(obj)) {
+    out[key.replace(/-(\w)/g, (_, c) => c.toUpperCase())] = value
+  }
+  return out
+}
+
+function toKebab (key) {
+  return key.replace(/[A-Z]/g, c => '-' + c.toLowerCase())
+}
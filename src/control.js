@@ -0,0 +1,143 @@
+'use strict'
+
+import net from 'net'
+import realFs from 'fs'
+import { promisify } from 'util'
+import { dirname, join } from 'path'
+import { META_DIR, checkPath } from './util'
+import { isRunning } from './client'
+
+/*
+ * control
+ *
+ * A unix domain socket for administering a running cache.
+ *
+ * Each request is a line of JSON, such as
+ *    {"cmd": "uncache", "path": "/foo/bar.flac"}
+ *
+ * and is answered by a line of JSON, either
+ *    {"ok": true, "result": ...}
+ * or
+ *    {"ok": false, "error": "..."}
+ *
+ * Starting fails if another instance is already listening on the socket.
+ *
+ * Commands
+ *
+ *  - status
+ *  - list
+ *  - cache { path }
+ *  - uncache { path }
+ *  - pin { path }
+ *  - unpin { path }
+ *  - pins
+ *  - history { since, limit } - since is in ms
+ *  - clean { age, ignore, dryRun } - all optional, with the age and filter
+ *      defaulting to those in force for each file
+ *  - verify { path } - check cached files against their checksums
+ *  - sweep { dryRun } - remove cached files whose source has gone
+ *  - verbose { level }
+ *
+ */
+
+export default function getControl (cache, report, options) {
+  const socketPath = getSocketPath(options)
+  const unlink = promisify(realFs.unlink)
+  const mkdir = promisify(realFs.mkdir)
+  const server = net.createServer(onConnection)
+
+  const commands = {
+    status: () => cache.status(),
+    list: () => cache.list(),
+    cache: ({ path }) => cache.warm(checkPath(path)),
+    uncache: ({ path }) => cache.evict(checkPath(path)),
+    pin: ({ path }) => cache.pin(checkPath(path)),
+    unpin: ({ path }) => cache.unpin(checkPath(path)),
+    pins: () => cache.pinned(),
+    history: ({ since, limit }) => cache.history({ since, limit }),
+    clean: ({ age, ignore, dryRun }) => cache.clean(ignore, age, dryRun),
+    verify: ({ path = '/' }) => cache.verify(checkPath(path)),
+    sweep: ({ dryRun }) => cache.sweep(dryRun),
+    verbose: ({ level }) => {
+      if (typeof level !== 'number') throw new Error('No level given')
+      report.setLevel(level)
+      return level
+    }
+  }
+
+  return { start, stop, socketPath }
+
+  async function start () {
+    if (!socketPath) return
+    try {
+      await mkdir(dirname(socketPath))
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err
+    }
+    // a socket left by an instance which died can go, but not a live one
+    if (await isRunning(socketPath)) {
+      throw new Error(`Already running, with control socket ${socketPath}`)
+    }
+    await removeSocket()
+    await new Promise((resolve, reject) => {
+      server.once('error', reject)
+      server.listen(socketPath, resolve)
+    })
+  }
+
+  async function stop () {
+    if (!server.listening) return
+    await new Promise(resolve => server.close(resolve))
+    await removeSocket()
+  }
+
+  async function removeSocket () {
+    try {
+      await unlink(socketPath)
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+  }
+
+  function onConnection (socket) {
+    let buffer = ''
+    let replies = Promise.resolve()
+    socket.setEncoding('utf8')
+    socket.on('error', () => {})
+    socket.on('data', data => {
+      buffer += data
+      let ix
+      while ((ix = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, ix)
+        buffer = buffer.slice(ix + 1)
+        if (!line.trim()) continue
+        // reply in the order the requests came
+        replies = replies
+          .then(() => handle(line))
+          .then(resp => send(socket, resp))
+      }
+    })
+  }
+
+  async function handle (line) {
+    try {
+      const req = JSON.parse(line)
+      const fn = commands[req.cmd]
+      if (!fn) throw new Error(`Unknown command: ${req.cmd}`)
+      report.command(req.cmd)
+      return { ok: true, result: await fn(req) }
+    } catch (err) {
+      return { ok: false, error: err.message }
+    }
+  }
+}
+
+export function getSocketPath ({ control, cacheDir }) {
+  if (control === false) return undefined
+  if (typeof control === 'string') return control
+  return join(cacheDir, META_DIR, 'control.sock')
+}
+
+function send (socket, resp) {
+  if (socket.writable) socket.write(JSON.stringify(resp) + '\n')
+}
@@ -0,0 +1,203 @@
+'use strict'
+
+import realFs from 'fs'
+import { promisify } from 'util'
+import { dirname } from 'path'
+import { makeDir, writeAtomic } from './util'
+
+/*
+ * History
+ *
+ * The persistent log of each time a file was played - that is, opened
+ * and later closed. Each is stored as a line of JSON
+ *
+ *    [opened, duration, bytes, hit, path]
+ *
+ * with the times in ms, and hit as 1 or 0.
+ *
+ * Records older than `days` are dropped, and no more than `maxRecords`
+ * are kept. This is done on load, and every so often as records are
+ * added.
+ *
+ * Construction
+ *    - file: where the history is stored
+ *    - fs: the fs-like to use
+ *    - days: how many days to keep (0 to keep no history)
+ *    - maxRecords: most records to keep
+ *    - onError: called if a write fails
+ *
+ * Public API
+ *
+ *  - add({ path, opened, duration, bytes, hit }) - records a play
+ *  - records(since) - resolves to the records since a time
+ *  - report({ since, limit }) - resolves to the most played dirs, hit
+ *      ratio by day, and files which always miss
+ *  - prune() - applies the retention limits now
+ *  - flush() - waits for any writes
+ */
+
+const priv = Symbol('priv')
+const PRUNE_EVERY = 1000
+const DAY = 24 * 60 * 60 * 1000
+
+export default class History {
+  constructor (options) {
+    Object.defineProperty(this, priv, { value: getPrivate(options) })
+  }
+
+  add ({ path, opened, duration, bytes, hit }) {
+    const p = this[priv]
+    if (!p.days) return
+    const line = JSON.stringify([opened, duration, bytes, hit ? 1 : 0, path])
+    queue(this, () => append(this, line + '\n'))
+    if (++p.added >= PRUNE_EVERY) this.prune()
+  }
+
+  async records (since = 0) {
+    const { file, readFile } = this[priv]
+    await this.flush()
+    let data
+    try {
+      data = await readFile(file, 'utf8')
+    } catch (err) {
+      if (err.code === 'ENOENT') return []
+      throw err
+    }
+    return data
+      .split('\n')
+      .map(parseRecord)
+      .filter(rec => rec && rec.opened >= since)
+  }
+
+  async report ({ since = 0, limit = 10 } = {}) {
+    const records = await this.records(since)
+    return {
+      dirs: topDirs(records, limit),
+      ratio: ratioByDay(records),
+      misses: alwaysMissed(records, limit)
+    }
+  }
+
+  prune () {
+    this[priv].added = 0
+    return queue(this, () => prune(this))
+  }
+
+  flush () {
+    return this[priv].writing
+  }
+}
+
+function getPrivate ({
+  file,
+  fs = realFs,
+  days = 90,
+  maxRecords = 100000,
+  onError = () => {}
+}) {
+  return {
+    file,
+    fs,
+    days,
+    maxRecords,
+    onError,
+    added: 0,
+    writing: Promise.resolve(),
+    readFile: promisify(fs.readFile),
+    appendFile: promisify(fs.appendFile)
+  }
+}
+
+// runs the writes one at a time, reporting any failure
+
+function queue (history, fn) {
+  const p = history[priv]
+  p.writing = p.writing.then(fn).catch(p.onError)
+  return p.writing
+}
+
+async function append (history, text) {
+  const { file, fs, appendFile } = history[priv]
+  await makeDir(fs, dirname(file))
+  await appendFile(file, text)
+}
+
+async function prune (history) {
+  const { file, fs, days, maxRecords, readFile } = history[priv]
+  let data
+  try {
+    data = await readFile(file, 'utf8')
+  } catch (err) {
+    if (err.code === 'ENOENT') return
+    throw err
+  }
+  const since = Date.now() - days * DAY
+  const lines = data
+    .split('\n')
+    .filter(line => {
+      const rec = parseRecord(line)
+      return rec && rec.opened >= since
+    })
+    .slice(-maxRecords)
+  await writeAtomic(fs, file, lines.map(line => line + '\n').join(''))
+}
+
+function parseRecord (line) {
+  if (!line) return undefined
+  try {
+    const [opened, duration, bytes, hit, path] = JSON.parse(line)
+    if (typeof path !== 'string') return undefined
+    return { path, opened, duration, bytes, hit: !!hit }
+  } catch (err) {
+    return undefined
+  }
+}
+
+function topDirs (records, limit) {
+  const dirs = new Map()
+  for (const { path, opened, bytes } of records) {
+    const dir = dirname(path)
+    const stats = dirs.get(dir) || { dir, plays: 0, bytes: 0, last: 0 }
+    stats.plays++
+    stats.bytes += bytes
+    stats.last = Math.max(stats.last, opened)
+    dirs.set(dir, stats)
+  }
+  return Array.from(dirs.values())
+    .sort((a, b) => b.plays - a.plays || b.last - a.last)
+    .slice(0, limit)
+}
+
+function ratioByDay (records) {
+  const days = new Map()
+  for (const { opened, hit } of records) {
+    const date = new Date(opened).toISOString().slice(0, 10)
+    const stats = days.get(date) || { date, hits: 0, misses: 0 }
+    if (hit) stats.hits++
+    else stats.misses++
+    days.set(date, stats)
+  }
+  return Array.from(days.values())
+    .sort((a, b) => (a.date < b.date ? -1 : 1))
+    .map(stats => ({
+      ...stats,
+      ratio: stats.hits / (stats.hits + stats.misses)
+    }))
+}
+
+// files opened more than once, and never found in the cache
+
+function alwaysMissed (records, limit) {
+  const files = new Map()
+  for (const { path, hit } of records) {
+    const stats = files.get(path) || { path, opens: 0, hits: 0 }
+    stats.opens++
+    if (hit) stats.hits++
+    files.set(path, stats)
+  }
+  return Array.from(files.values())
+    .filter(({ opens, hits }) => opens > 1 && !hits)
+    .sort((a, b) => b.opens - a.opens)
+    .slice(0, limit)
+    .map(({ path, opens }) => ({ path, opens }))
+}
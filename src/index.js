@@ -3,6 +3,17 @@
 import sade from 'sade'
 import { version } from '../package.json'
 import start from './start'
+import {
+  status,
+  warm,
+  evict,
+  pin,
+  unpin,
+  history,
+  clean,
+  sweep,
+  verify
+} from './commands'
 
 const prog = sade('cachejs')
 
@@ -11,30 +22,164 @@ prog.version(version)
 prog
   .command(
     'start <src-dir> <cache-dir> <mount-dir>',
-    'starts the cacheing server',
+    'starts the cacheing server (src-dir can be name=dir,... for several)',
     { default: true }
   )
+  .option('-c --config', 'JSON file of options and per-path rules')
   .option('-V --verbose', 'be more verbose')
-  .option('--preload-siblings', 'how many siblings to preload', 3)
-  .option('--preload-filter', 'Regex of which files to cache', '^.*\\.flac$')
-  .option('--preload-read', 'preload on percetange read', 50)
-  .option('--preload-open', 'preload on time open in ms', 2000)
-  .option('--clean-after', 'clean after last access in seconds', 6 * 60 * 60)
+  .option('--log-format', 'text or json')
+  .option('--log-file', 'file to log to, rather than stdout')
+  .option('--log-max-size', 'rotate the log file at this size, eg 10M')
+  .option('--log-keep', 'how many rotated log files to keep')
+  .option('--log-levels', 'levels for events, eg hit=2,miss=2')
+  .option('--history-days', 'days of play history to keep')
+  .option('--history-max', 'most plays to keep in the history')
+  .option('--preload-siblings', 'how many siblings to preload')
+  .option('--preload-filter', 'Regex of which files to cache')
+  .option('--preload-read', 'preload on percetange read')
+  .option('--preload-open', 'preload on time open in ms')
+  .option('--preload-strategy', 'siblings, album, next-dir or a module')
+  .option('--predict-files', 'how many files of the next dir to prefetch')
+  .option('--predict-threshold', 'percent confidence needed to prefetch')
+  .option('--predict-budget', 'most bytes to prefetch for the next dir')
+  .option('--source-check', 'secs between checks of an offline source')
+  .option('--metadata-ttl', 'secs to keep source listings and stats')
+  .option('--metadata-size', 'most source listings and stats to keep')
+  .option('--metadata-persist', 'keep source listings and stats on restart')
+  .option('--clean-after', 'clean after last access in seconds')
+  .option('--clean-ignore', 'Regex to ignore when cleaning')
   .option(
-    '--clean-ignore',
-    'Regex to ignore when cleaning',
-    '^.*[^\\d-](1[-0])?0?1\\.flac$'
+    '--cache-max-size',
+    'maximum size of the cache (split between sources), eg 20G'
   )
+  .option('--cache-high-water', 'evict when over this % of max size')
+  .option('--cache-low-water', 'evict until under this % of max size')
+  .option('--min-free', 'free space to leave on the cache disk, eg 1G')
+  .option('--stale-check', 'seconds between checks against source')
+  .option('--max-copy-rate', 'limit on bytes/sec copied in all, eg 2M')
+  .option('--max-open-rate', 'limit on bytes/sec for open files')
+  .option('--max-warm-rate', 'limit on bytes/sec for warming')
+  .option('--copy-workers', 'how many copies to run at once')
+  .option('--checksum', 'record and check a checksum of each copy')
+  .option('--max-verify-rate', 'limit on bytes/sec for scrubbing')
+  .option('--scrub-interval', 'seconds between scrubs of the cache')
+  .option('--control', 'path of the control socket')
+  .option('--metrics-port', 'port to serve Prometheus metrics on')
+  .option('--metrics-file', 'file to write Prometheus metrics to')
+  .option('--metrics-interval', 'seconds between writes of metrics file')
   .option('-F --fuse', 'additional fuse options')
   .action(start)
 
+prog
+  .command('status <cache-dir>', 'shows what is in the cache')
+  .option('--control', 'path of the control socket')
+  .option('-c --config', 'JSON file of options and per-path rules')
+  .action(status)
+
+prog
+  .command('warm <src-dir> <cache-dir> <path>', 'caches a file or directory')
+  .option('--preload-filter', 'Regex of which files to cache')
+  .option('--max-warm-rate', 'limit on bytes/sec for warming')
+  .option('--copy-workers', 'how many copies to run at once')
+  .option('--control', 'path of the control socket')
+  .option('-c --config', 'JSON file of options and per-path rules')
+  .action(warm)
+
+prog
+  .command('evict <cache-dir> <path>', 'uncaches a file or directory')
+  .option('--control', 'path of the control socket')
+  .option('-c --config', 'JSON file of options and per-path rules')
+  .action(evict)
+
+prog
+  .command('pin <src-dir> <cache-dir> <path>', 'pins a file or directory')
+  .option('--preload-filter', 'Regex of which files to cache')
+  .option('--max-warm-rate', 'limit on bytes/sec for warming')
+  .option('--copy-workers', 'how many copies to run at once')
+  .option('--control', 'path of the control socket')
+  .option('-c --config', 'JSON file of options and per-path rules')
+  .action(pin)
+
+prog
+  .command('unpin <cache-dir> <path>', 'unpins a file or directory')
+  .option('--control', 'path of the control socket')
+  .option('-c --config', 'JSON file of options and per-path rules')
+  .action(unpin)
+
+prog
+  .command('history <cache-dir>', 'shows what has been played')
+  .option('--since', 'only the last so many days')
+  .option('--limit', 'how many dirs and files to show', 10)
+  .option('--control', 'path of the control socket')
+  .option('-c --config', 'JSON file of options and per-path rules')
+  .action(history)
+
+prog
+  .command('clean <cache-dir>', 'cleans the cache')
+  .option('-n --dry-run', 'list what would be removed')
+  .option('--clean-after', 'clean after last access in seconds')
+  .option('--clean-ignore', 'Regex to ignore when cleaning')
+  .option(
+    '--cache-max-size',
+    'maximum size of the cache (split between sources), eg 20G'
+  )
+  .option('--cache-high-water', 'evict when over this % of max size')
+  .option('--cache-low-water', 'evict until under this % of max size')
+  .option('--control', 'path of the control socket')
+  .option('-c --config', 'JSON file of options and per-path rules')
+  .action(clean)
+
+prog
+  .command('sweep <src-dir> <cache-dir>', 'uncaches files gone from the source')
+  .option('-n --dry-run', 'list what would be removed')
+  .option('--control', 'path of the control socket')
+  .option('-c --config', 'JSON file of options and per-path rules')
+  .action(sweep)
+
+prog
+  .command('verify <src-dir> <cache-dir> <path>', 'checks cached files')
+  .option('--max-verify-rate', 'limit on bytes/sec for scrubbing')
+  .option('--control', 'path of the control socket')
+  .option('-c --config', 'JSON file of options and per-path rules')
+  .action(verify)
+
 const alias = {
   preloadSiblings: 'preload-siblings',
   preloadFilter: 'preload-filter',
   preloadRead: 'preload-read',
   preloadOpen: 'preload-open',
+  preloadStrategy: 'preload-strategy',
+  predictFiles: 'predict-files',
+  predictThreshold: 'predict-threshold',
+  predictBudget: 'predict-budget',
+  sourceCheck: 'source-check',
+  metadataTtl: 'metadata-ttl',
+  metadataSize: 'metadata-size',
+  metadataPersist: 'metadata-persist',
   cleanAfter: 'clean-after',
-  cleanIgnore: 'clean-ignore'
+  cleanIgnore: 'clean-ignore',
+  cacheMaxSize: 'cache-max-size',
+  cacheHighWater: 'cache-high-water',
+  cacheLowWater: 'cache-low-water',
+  staleCheck: 'stale-check',
+  maxCopyRate: 'max-copy-rate',
+  maxOpenRate: 'max-open-rate',
+  maxWarmRate: 'max-warm-rate',
+  maxVerifyRate: 'max-verify-rate',
+  minFree: 'min-free',
+  scrubInterval: 'scrub-interval',
+  copyWorkers: 'copy-workers',
+  metricsPort: 'metrics-port',
+  metricsFile: 'metrics-file',
+  metricsInterval: 'metrics-interval',
+  logFormat: 'log-format',
+  logFile: 'log-file',
+  logMaxSize: 'log-max-size',
+  logKeep: 'log-keep',
+  logLevels: 'log-levels',
+  historyDays: 'history-days',
+  historyMax: 'history-max',
+  dryRun: 'dry-run'
 }
 
 prog.parse(process.argv, { alias })
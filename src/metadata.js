@@ -0,0 +1,199 @@
+'use strict'
+
+import realFs from 'fs'
+import { promisify } from 'util'
+import { dirname } from 'path'
+import { isWithin, getSaver } from './util'
+
+/*
+ * Metadata
+ *
+ * Remembers dir listings and file stats read from the source, so that
+ * browsing does not have to go back to it each time. Each is kept with
+ * the time it was read, and the caller says how old is too old.
+ *
+ * Up to maxEntries are kept, dropping the least recently used. If given
+ * a file, they are written to it (atomically) shortly after any change,
+ * and can be loaded from it on restart.
+ *
+ * Construction
+ *    - file: where the metadata is stored (if at all)
+ *    - fs: the fs-like to use
+ *    - maxEntries: most listings and stats to keep
+ *    - saveDelay: ms to wait before writing out changes
+ *    - onError: called if a delayed write fails
+ *
+ * Public API
+ *
+ *  - load() - reads from disk, resolving false if missing or corrupt
+ *  - clear() - forgets everything
+ *  - dir(path, maxAge) - the names in a dir, if read within maxAge ms
+ *  - stats(path, maxAge) - the stats of a path, if read within maxAge ms
+ *  - setDir(path, names) - records a dir listing
+ *  - setStats(path, stats) - records the stats of a path
+ *  - invalidate(path) - forgets a path, anything under it, and the
+ *      listing of its dir
+ *  - count - how many listings and stats are held
+ *  - flush() - writes to disk if there are pending changes
+ */
+
+const priv = Symbol('priv')
+
+const STAT_FIELDS = [
+  'dev',
+  'ino',
+  'mode',
+  'nlink',
+  'uid',
+  'gid',
+  'rdev',
+  'size',
+  'blksize',
+  'blocks',
+  'atimeMs',
+  'mtimeMs',
+  'ctimeMs'
+]
+
+export default class Metadata {
+  constructor (options) {
+    Object.defineProperty(this, priv, { value: getPrivate(options) })
+  }
+
+  get count () {
+    return this[priv].entries.size
+  }
+
+  async load () {
+    const { file, readFile, entries } = this[priv]
+    if (!file) return false
+    let data
+    try {
+      data = JSON.parse(await readFile(file, 'utf8'))
+    } catch (err) {
+      return false
+    }
+    if (!data || !Array.isArray(data.entries)) return false
+
+    entries.clear()
+    for (const { key, at, names, stats } of data.entries) {
+      if (typeof key !== 'string' || typeof at !== 'number') continue
+      if (names) entries.set(key, { at, names })
+      else if (stats) entries.set(key, { at, stats: reviveStats(stats) })
+    }
+    return true
+  }
+
+  clear () {
+    this[priv].entries.clear()
+    changed(this)
+  }
+
+  dir (path, maxAge) {
+    const entry = get(this, 'dir:' + path, maxAge)
+    return entry && entry.names.slice()
+  }
+
+  stats (path, maxAge) {
+    const entry = get(this, 'stat:' + path, maxAge)
+    return entry && entry.stats
+  }
+
+  setDir (path, names) {
+    set(this, 'dir:' + path, { names: names.slice() })
+  }
+
+  setStats (path, stats) {
+    set(this, 'stat:' + path, { stats })
+  }
+
+  invalidate (path) {
+    const { entries } = this[priv]
+    let found = entries.delete('dir:' + dirname(path))
+    for (const key of Array.from(entries.keys())) {
+      if (isWithin(key.slice(key.indexOf(':') + 1), path)) {
+        entries.delete(key)
+        found = true
+      }
+    }
+    if (found) changed(this)
+  }
+
+  async flush () {
+    const { saver } = this[priv]
+    if (saver) await saver.flush()
+  }
+}
+
+function getPrivate ({
+  file,
+  fs = realFs,
+  maxEntries = 10000,
+  saveDelay = 5000,
+  onError = () => {}
+}) {
+  const entries = new Map()
+  const data = () => ({
+    entries: Array.from(entries, ([key, { at, names, stats }]) =>
+      names ? { key, at, names } : { key, at, stats: storeStats(stats) }
+    )
+  })
+  return {
+    file,
+    maxEntries,
+    entries,
+    saver: file && getSaver({ file, fs, data, saveDelay, onError }),
+    readFile: promisify(fs.readFile)
+  }
+}
+
+function get (metadata, key, maxAge) {
+  const { entries } = metadata[priv]
+  const entry = entries.get(key)
+  if (!entry || !maxAge || Date.now() - entry.at > maxAge) return undefined
+  entries.delete(key)
+  entries.set(key, entry)
+  return entry
+}
+
+function set (metadata, key, value) {
+  const { entries, maxEntries } = metadata[priv]
+  entries.delete(key)
+  entries.set(key, { at: Date.now(), ...value })
+  while (entries.size > maxEntries) {
+    entries.delete(entries.keys().next().value)
+  }
+  changed(metadata)
+}
+
+function changed (metadata) {
+  const { saver } = metadata[priv]
+  if (saver) saver.changed()
+}
+
+// stats are stored as their numbers and type, and brought back to life
+// with the same methods and dates
+
+function storeStats (stats) {
+  const data = {}
+  for (const field of STAT_FIELDS) data[field] = stats[field]
+  data.type = statsType(stats)
+  return data
+}
+
+function statsType (stats) {
+  if (stats.isDirectory()) return 'dir'
+  if (stats.isFile()) return 'file'
+  return 'other'
+}
+
+function reviveStats ({ type, ...data }) {
+  return {
+    ...data,
+    atime: new Date(data.atimeMs),
+    mtime: new Date(data.mtimeMs),
+    ctime: new Date(data.ctimeMs),
+    isFile: () => type === 'file',
+    isDirectory: () => type === 'dir'
+  }
+}
@@ -0,0 +1,177 @@
+'use strict'
+
+import http from 'http'
+import realFs from 'fs'
+import { writeAtomic } from './util'
+
+/*
+ * Metrics
+ *
+ * Counts the events from a cache, and exposes them - along with the
+ * current state of the cache - in Prometheus text format, either over
+ * HTTP or by writing to a file periodically.
+ *
+ * Options
+ *    - metricsPort: port to serve /metrics on (on localhost)
+ *    - metricsFile: file to write to
+ *    - metricsInterval: seconds between writes of the file
+ *
+ */
+
+const COPY_BUCKETS = [0.1, 0.5, 1, 2, 5, 10, 30, 60]
+
+export default class Metrics {
+  constructor (options = {}) {
+    this.options = options
+    this.counts = {}
+    this.requests = {}
+    this.copyBuckets = COPY_BUCKETS.map(() => 0)
+    this.copySeconds = 0
+    this.copies = 0
+    this.copiedBytes = 0
+    this.removedBytes = 0
+  }
+
+  attach (cache) {
+    this.cache = cache
+    for (const event of Object.keys(Counters)) {
+      this.counts[event] = 0
+      cache.on(event, () => this.counts[event]++)
+    }
+    cache.on('request', ([reason]) => {
+      this.requests[reason] = (this.requests[reason] || 0) + 1
+    })
+    cache.on('copied', ([, bytes, ms]) => this.copied(bytes, ms))
+    cache.on('removed', ([, bytes]) => {
+      this.removedBytes += bytes
+    })
+  }
+
+  copied (bytes, ms) {
+    const secs = ms / 1000
+    this.copies++
+    this.copySeconds += secs
+    this.copiedBytes += bytes
+    COPY_BUCKETS.forEach((limit, ix) => {
+      if (secs <= limit) this.copyBuckets[ix]++
+    })
+  }
+
+  render () {
+    const lines = []
+    const add = (name, type, help, values) => {
+      lines.push(`# HELP cachejs_${name} ${help}`)
+      lines.push(`# TYPE cachejs_${name} ${type}`)
+      for (const [labels, value] of values) {
+        lines.push(`cachejs_${name}${labels} ${value}`)
+      }
+    }
+
+    for (const [event, [name, help]] of Object.entries(Counters)) {
+      add(name, 'counter', help, [['', this.counts[event] || 0]])
+    }
+    add(
+      'requests_total',
+      'counter',
+      'Preload requests by reason',
+      Object.entries(this.requests).map(([reason, n]) => [
+        `{reason="${reason}"}`,
+        n
+      ])
+    )
+    add('copied_bytes_total', 'counter', 'Bytes copied into the cache', [
+      ['', this.copiedBytes]
+    ])
+    add('removed_bytes_total', 'counter', 'Bytes removed from the cache', [
+      ['', this.removedBytes]
+    ])
+    add('copy_seconds', 'histogram', 'Time taken to copy a file', [
+      ...COPY_BUCKETS.map((limit, ix) => [
+        `_bucket{le="${limit}"}`,
+        this.copyBuckets[ix]
+      ]),
+      ['_bucket{le="+Inf"}', this.copies],
+      ['_sum', this.copySeconds],
+      ['_count', this.copies]
+    ])
+
+    const { hit = 0, miss = 0 } = this.counts
+    add('hit_ratio', 'gauge', 'Proportion of opens served from the cache', [
+      ['', hit + miss ? hit / (hit + miss) : 0]
+    ])
+
+    if (this.cache) {
+      const status = this.cache.status()
+      for (const [key, [name, help]] of Object.entries(Gauges)) {
+        add(name, 'gauge', help, [['', Number(status[key])]])
+      }
+    }
+
+    return lines.join('\n') + '\n'
+  }
+
+  async start () {
+    const { metricsPort, metricsFile, metricsInterval = 15 } = this.options
+    if (metricsPort) {
+      this.server = http.createServer((req, res) => this.serve(req, res))
+      await new Promise((resolve, reject) => {
+        this.server.once('error', reject)
+        this.server.listen(metricsPort, '127.0.0.1', resolve)
+      })
+    }
+    if (metricsFile) {
+      this.timer = setInterval(() => this.write(), metricsInterval * 1000)
+      this.timer.unref()
+      await this.write()
+    }
+  }
+
+  async stop () {
+    if (this.timer) clearInterval(this.timer)
+    if (this.server) await new Promise(resolve => this.server.close(resolve))
+  }
+
+  serve (req, res) {
+    if (req.url !== '/metrics') {
+      res.writeHead(404)
+      return res.end()
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' })
+    res.end(this.render())
+  }
+
+  async write () {
+    const { metricsFile, fs = realFs } = this.options
+    try {
+      await writeAtomic(fs, metricsFile, this.render())
+    } catch (err) {
+      // istanbul ignore next
+      if (this.cache) this.cache.emit('error', err)
+    }
+  }
+}
+
+const Counters = {
+  hit: ['hits_total', 'Opens of cached files'],
+  miss: ['misses_total', 'Opens of uncached files'],
+  read: ['reads_total', 'Opens of uncacheable files'],
+  cache: ['cached_files_total', 'Files copied into the cache'],
+  uncache: ['uncached_files_total', 'Files removed from the cache'],
+  stale: ['stale_total', 'Cached files found to be stale'],
+  discard: ['discarded_total', 'Partial copies discarded'],
+  cancel: ['cancelled_total', 'Preloads cancelled'],
+  nospace: ['nospace_total', 'Copies skipped for want of disk space'],
+  verified: ['verified_total', 'Cached files checked against checksums'],
+  corrupt: ['corrupt_total', 'Cached files or copies failing checksums'],
+  error: ['errors_total', 'Errors']
+}
+
+const Gauges = {
+  files: ['cache_files', 'Files in the cache'],
+  bytes: ['cache_bytes', 'Bytes in the cache'],
+  maxSize: ['cache_max_bytes', 'Maximum size of the cache'],
+  open: ['open_files', 'Files currently open'],
+  queued: ['jobs_pending', 'Jobs waiting or running on the queue'],
+  pins: ['pins', 'Files and dirs pinned'],
+  online: ['sources_online', 'Sources which can be read']
+}
@@ -0,0 +1,88 @@
+'use strict'
+
+import realFs from 'fs'
+import { promisify } from 'util'
+import { isWithin, writeAtomic } from './util'
+
+/*
+ * Pins
+ *
+ * The persistent list of pinned paths - files or dirs which are kept in
+ * the cache in full, and never cleaned.
+ *
+ * Construction
+ *    - file: where the list is stored
+ *    - fs: the fs-like to use
+ *
+ * Public API
+ *
+ *  - load() - reads from disk, resolving false if missing or corrupt
+ *  - has(path) - is the path pinned, or within a pinned dir
+ *  - add(path) - pins a path, returning false if it already was
+ *  - delete(path) - unpins a path, returning false if it was not
+ *  - values() - the pinned paths, sorted
+ *  - count - how many paths are pinned
+ *  - save() - writes to disk
+ */
+
+const priv = Symbol('priv')
+
+export default class Pins {
+  constructor ({ file, fs = realFs }) {
+    Object.defineProperty(this, priv, {
+      value: {
+        file,
+        fs,
+        paths: new Set(),
+        readFile: promisify(fs.readFile)
+      }
+    })
+  }
+
+  get count () {
+    return this[priv].paths.size
+  }
+
+  async load () {
+    const { file, readFile, paths } = this[priv]
+    paths.clear()
+    let data
+    try {
+      data = JSON.parse(await readFile(file, 'utf8'))
+    } catch (err) {
+      return false
+    }
+    if (!data || !Array.isArray(data.pins)) return false
+    for (const path of data.pins) {
+      if (typeof path === 'string') paths.add(path)
+    }
+    return true
+  }
+
+  has (path) {
+    for (const pin of this[priv].paths) {
+      if (isWithin(path, pin)) return true
+    }
+    return false
+  }
+
+  add (path) {
+    const { paths } = this[priv]
+    if (paths.has(path)) return false
+    paths.add(path)
+    return true
+  }
+
+  delete (path) {
+    return this[priv].paths.delete(path)
+  }
+
+  values () {
+    return Array.from(this[priv].paths).sort()
+  }
+
+  async save () {
+    const { file, fs } = this[priv]
+    await writeAtomic(fs, file, JSON.stringify({ pins: this.values() }))
+  }
+}
@@ -0,0 +1,70 @@
+'use strict'
+
+import { dirname, join, normalize, relative } from 'path'
+import { checkPath, isWithin } from './util'
+
+/*
+ * playlist
+ *
+ * Reading of m3u/m3u8 playlists and CUE sheets, so that files can be
+ * preloaded in the order they will be played.
+ *
+ * Entries are resolved to paths relative to the source dir. Relative
+ * entries are taken from the playlist's own dir, absolute ones must be
+ * within the source dir, and URLs (or anything else which would lead out
+ * of the source dir) are ignored.
+ *
+ */
+
+const PLAYLIST = /\.(m3u8?|cue)$/i
+const CUE = /\.cue$/i
+const URL = /^[a-z][a-z\d+.-]+:/i
+
+export function isPlaylist (path) {
+  return PLAYLIST.test(path)
+}
+
+export function parsePlaylist (path, text, sourceDir) {
+  const entries = CUE.test(path) ? cueEntries(text) : m3uEntries(text)
+  const files = new Set()
+  for (let entry of entries) {
+    entry = entry.replace(/\\/g, '/')
+    if (URL.test(entry)) continue
+    if (entry.startsWith('/')) {
+      entry = normalize(entry)
+      if (!isWithin(entry, sourceDir)) continue
+      entry = '/' + relative(sourceDir, entry)
+    } else {
+      entry = join(dirname(path), entry)
+    }
+    try {
+      files.add(checkPath(entry))
+    } catch (err) {
+      continue
+    }
+  }
+  return Array.from(files)
+}
+
+// puts files in the order given, followed by any not mentioned
+
+export function playlistOrder (files, order) {
+  const listed = new Set(order.filter(f => files.includes(f)))
+  return [...listed, ...files.filter(f => !listed.has(f))]
+}
+
+function m3uEntries (text) {
+  return text
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+}
+
+function cueEntries (text) {
+  const entries = []
+  const re = /^\s*FILE\s+(?:"([^"]*)"|(\S+))/gim
+  let m
+  while ((m = re.exec(text))) entries.push(m[1] || m[2])
+  return entries
+}
@@ -0,0 +1,65 @@
+'use strict'
+
+/*
+ * Predictor
+ *
+ * Learns which dir tends to be played after which, from the sequence of
+ * dirs opened, so that the next album can be fetched before it is needed.
+ *
+ * A dir is only predicted once the move to it has been seen at least
+ * twice, and only if it accounts for enough of the moves seen away from
+ * the current dir.
+ *
+ * Public API
+ *
+ *  - learn(dir) - records that a file in this dir was opened
+ *  - predict(dir, threshold) - the dir most likely to follow, as
+ *      { dir, confidence }, if its confidence (as a percentage) is at
+ *      least the threshold. Otherwise undefined
+ *  - clear() - forgets everything learned
+ */
+
+const priv = Symbol('priv')
+const MIN_SEEN = 2
+
+export default class Predictor {
+  constructor () {
+    Object.defineProperty(this, priv, {
+      value: {
+        last: undefined,
+        moves: new Map()
+      }
+    })
+  }
+
+  learn (dir) {
+    const p = this[priv]
+    if (p.last !== undefined && p.last !== dir) {
+      const next = p.moves.get(p.last) || new Map()
+      next.set(dir, (next.get(dir) || 0) + 1)
+      p.moves.set(p.last, next)
+    }
+    p.last = dir
+  }
+
+  predict (dir, threshold) {
+    const next = this[priv].moves.get(dir)
+    if (!next) return undefined
+    let best
+    let total = 0
+    for (const [to, seen] of next) {
+      total += seen
+      if (!best || seen > best.seen) best = { dir: to, seen }
+    }
+    if (best.seen < MIN_SEEN) return undefined
+    const confidence = (100 * best.seen) / total
+    if (confidence < threshold) return undefined
+    return { dir: best.dir, confidence }
+  }
+
+  clear () {
+    const p = this[priv]
+    p.last = undefined
+    p.moves.clear()
+  }
+}
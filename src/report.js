@@ -1,45 +1,154 @@
 'use strict'
 
+import realFs from 'fs'
 import { format } from 'util'
+import { formatSize, parseSize } from './util'
+
+/*
+ * Report
+ *
+ * Logs the events from a cache, and other goings on.
+ *
+ * Each message has a level, and is logged if the current level is at or
+ * above it. The levels can be changed for each message by logLevels,
+ * given as an object or as "hit=2,miss=2".
+ *
+ * Messages are logged as text, or with logFormat of "json" as one object
+ * per line with the time, event and details such as the path, reason,
+ * bytes and ms.
+ *
+ * They go to stdout, or to logFile - which is rotated once it reaches
+ * logMaxSize, keeping logKeep old files (as .1, .2 etc). Text written to
+ * a file is given a timestamp.
+ *
+ */
 
 function NOOP () {}
 
 export default class Report {
   constructor (options) {
     this.options = options
-    this.level = getLevel(options)
-    for (const [msg, msgLevel, fn] of Messages) {
-      if (msgLevel > this.level) {
+    this.output = getOutput(options)
+    this.configure(options)
+  }
+
+  configure (options) {
+    this.format = options.logFormat === 'json' ? 'json' : 'text'
+    this.levels = getLevels(options.logLevels)
+    this.setLevel(getLevel(options))
+  }
+
+  setLevel (level) {
+    this.level = level
+    for (const [msg, msgLevel, fn, fields] of Messages) {
+      const eventLevel = msg in this.levels ? this.levels[msg] : msgLevel
+      if (eventLevel > this.level) {
         this[msg] = NOOP
       } else {
-        this[msg] = (...args) => this.log(fn.apply(this, args))
+        this[msg] = (...args) => this.write(msg, fn, fields, args)
       }
     }
   }
 
+  write (msg, fn, fields = defaultFields, args) {
+    const time = new Date().toISOString()
+    if (this.format === 'json') {
+      this.log(
+        JSON.stringify({ time, event: msg, ...fields.apply(this, args) })
+      )
+    } else if (this.options.logFile) {
+      this.log(fn.apply(this, args).replace(/^(?=.)/gm, `${time} `))
+    } else {
+      this.log(fn.apply(this, args))
+    }
+  }
+
   msg (event, ...args) {
     if (!(event in this)) return
     this[event](...args)
   }
 
   log (...args) {
-    console.log(...args)
+    this.output(format(...args))
   }
 
   attach (emitter) {
     for (const [msg] of Messages) {
-      emitter.on(msg, this[msg].bind(this))
+      emitter.on(msg, (...args) => this[msg](...args))
+    }
+  }
+}
+
+function getLevels (levels = {}) {
+  if (typeof levels === 'string') {
+    levels = Object.fromEntries(
+      levels
+        .split(',')
+        .filter(Boolean)
+        .map(item => item.split('='))
+    )
+  }
+  const result = {}
+  for (const [msg, level] of Object.entries(levels)) {
+    if (!Messages.some(([name]) => name === msg)) {
+      throw new Error(`Unknown log event: ${msg}`)
+    }
+    if (isNaN(Number(level))) {
+      throw new Error(`Invalid log level for ${msg}: ${level}`)
+    }
+    result[msg] = Number(level)
+  }
+  return result
+}
+
+function getOutput ({ logFile, logMaxSize = '10M', logKeep = 5, fs = realFs }) {
+  if (!logFile) return line => console.log(line)
+  const maxSize = parseSize(logMaxSize)
+  let size = 0
+  try {
+    size = fs.statSync(logFile).size
+  } catch (err) {
+    // istanbul ignore if
+    if (err.code !== 'ENOENT') throw err
+  }
+
+  return line => {
+    const text = line + '\n'
+    const bytes = Buffer.byteLength(text)
+    if (maxSize && size && size + bytes > maxSize) {
+      rotate(fs, logFile, logKeep)
+      size = 0
+    }
+    fs.appendFileSync(logFile, text)
+    size += bytes
+  }
+}
+
+function rotate (fs, file, keep) {
+  for (let n = keep; n > 0; n--) {
+    try {
+      fs.renameSync(n > 1 ? `${file}.${n - 1}` : file, `${file}.${n}`)
+    } catch (err) {
+      // istanbul ignore if
+      if (err.code !== 'ENOENT') throw err
     }
   }
+  if (!keep) fs.unlinkSync(file)
+}
+
+function defaultFields (path) {
+  return typeof path === 'string' ? { path } : {}
 }
 
-function getLevel ({ quiet, verbose }) {
+export function getLevel ({ quiet, verbose }) {
   if (quiet) return 0
   if (typeof verbose === 'number') return verbose
   if (Array.isArray(verbose)) return verbose.length + 1
   return verbose ? 2 : 1
 }
 
+// name, default level, text, and the fields for json (the path by default)
+
 const Messages = [
   ['started', 1, () => 'started'],
   ['stopped', 1, () => 'stopped'],
@@ -54,19 +163,69 @@ const Messages = [
         `cache  : ${cacheDir}\n` +
         `mount  : ${mountDir}\n`
       )
+    },
+    function () {
+      const { version, sourceDir, cacheDir, mountDir } = this.options
+      return { version, sourceDir, cacheDir, mountDir }
     }
   ],
   ['cleaning', 2, () => 'cleaning cache'],
-  ['error', 0, err => format('ERROR %o', err)],
+  [
+    'reloaded',
+    1,
+    changed => `reloaded config: ${changed.join(', ') || 'no changes'}`,
+    changed => ({ changed })
+  ],
+  [
+    'rejected',
+    1,
+    key => `cannot change ${key} without a restart`,
+    key => ({ option: key })
+  ],
+  [
+    'reloadFailed',
+    0,
+    err => `reload failed: ${err.message}`,
+    err => ({ error: err.message })
+  ],
+  ['command', 3, cmd => `COMMAND ${cmd}`, cmd => ({ cmd })],
+  ['recovering', 2, () => 'recovering cache'],
+  [
+    'error',
+    0,
+    err => format('ERROR %o', err),
+    err => ({ error: err.message, code: err.code, source: err.source })
+  ],
+  ['source-down', 1, dir => `SOURCE DOWN ${dir}`],
+  ['source-up', 1, dir => `SOURCE UP ${dir}`],
   ['cache', 2, path => `CACHE   ${path}`],
   ['uncache', 2, path => `UNCACHE ${path}`],
+  ['discard', 2, path => `DISCARD ${path}`],
+  ['stale', 2, path => `STALE   ${path}`],
+  ['cancel', 3, path => `CANCEL  ${path}`],
+  ['scrubbing', 2, () => 'verifying cache'],
+  ['verified', 4, path => `VERIFIED ${path}`],
+  ['corrupt', 1, path => `CORRUPT ${path}`],
   ['hit', 3, path => `HIT     ${path}`],
   ['miss', 3, path => `MISS    ${path}`],
   ['read', 3, path => `READ    ${path}`],
+  [
+    'copied',
+    4,
+    ([path, bytes, ms]) =>
+      format('COPIED  %s (%s in %ss)', path, formatSize(bytes), ms / 1000),
+    ([path, bytes, ms]) => ({ path, bytes, ms })
+  ],
+  [
+    'nospace',
+    1,
+    ([path, bytes]) => format('NOSPACE %s (%s)', path, formatSize(bytes)),
+    ([path, bytes]) => ({ path, bytes })
+  ],
   [
     'request',
     4,
-    ([reason, path]) =>
-      format('%s %s', reason === 'time' ? 'RQ-TIME' : 'RQ-READ', path)
+    ([reason, path]) => format('RQ-%s %s', reason.toUpperCase(), path),
+    ([reason, path]) => ({ reason, path })
   ]
 ]
@@ -0,0 +1,153 @@
+'use strict'
+
+/*
+ * Scheduler
+ *
+ * Runs async jobs on a number of workers, lowest priority number first,
+ * and in the order they were added within a priority.
+ *
+ * Jobs can be given a key. Adding a job whose key is already queued does
+ * not add another, but raises the priority of the queued one if needed,
+ * and shares its result. Likewise if it is already running.
+ *
+ * Jobs can also be given a tag, used to pick them out for cancelling.
+ * Cancelled jobs still queued are dropped, resolving as undefined. Those
+ * already running are told by setting `cancelled` on the token passed to
+ * the job, and are expected to stop as soon as they can. A job shared
+ * with a caller who gave no tag loses its tag, so that it is not
+ * cancelled from under them.
+ *
+ * Construction
+ *    - workers: how many jobs can run at once
+ *
+ * Public API
+ *
+ *  - add(fn, { key, priority, tag }) - queue a job, resolving with its
+ *      result. The job is called as fn(token)
+ *  - reprioritise(fn) - calls fn(key, priority) for each queued job, using
+ *      the value returned (if any) as its new priority
+ *  - cancel(fn) - cancels the keyed jobs for which fn(key, tag) is truthy,
+ *      returning the keys of the queued ones dropped
+ *  - pause(fn) - holds back the queued jobs for which fn(key) is truthy
+ *      until resumed. Those already running carry on
+ *  - resume() - starts running held jobs again
+ *  - pending - how many jobs are queued or running
+ *
+ */
+
+export const PRIORITY = {
+  OPEN: 0,
+  NEAR: 1,
+  FAR: 2,
+  BACKGROUND: 3
+}
+
+export default class Scheduler {
+  constructor ({ workers = 1 } = {}) {
+    this.workers = workers
+    this.queue = []
+    this.running = new Map()
+    this.active = 0
+    this.seq = 0
+    this.held = () => false
+  }
+
+  get pending () {
+    return this.queue.length + this.active
+  }
+
+  add (fn, { key, priority = PRIORITY.BACKGROUND, tag } = {}) {
+    if (key !== undefined) {
+      const queued = this.queue.find(job => job.key === key)
+      if (queued) {
+        retag(queued, tag)
+        if (priority < queued.priority) {
+          queued.priority = priority
+          this.sort()
+        }
+        return queued.promise
+      }
+      const running = this.running.get(key)
+      if (running) {
+        retag(running, tag)
+        return running.promise
+      }
+    }
+
+    const job = {
+      fn,
+      key,
+      priority,
+      tag,
+      seq: this.seq++,
+      token: { cancelled: false }
+    }
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve
+      job.reject = reject
+    })
+    this.queue.push(job)
+    this.sort()
+    this.next()
+    return job.promise
+  }
+
+  reprioritise (fn) {
+    for (const job of this.queue) {
+      const priority = fn(job.key, job.priority)
+      if (priority !== undefined) job.priority = priority
+    }
+    this.sort()
+  }
+
+  cancel (fn) {
+    const dropped = []
+    this.queue = this.queue.filter(job => {
+      if (job.key === undefined || !fn(job.key, job.tag)) return true
+      job.resolve(undefined)
+      dropped.push(job.key)
+      return false
+    })
+    for (const job of this.running.values()) {
+      if (fn(job.key, job.tag)) job.token.cancelled = true
+    }
+    return dropped
+  }
+
+  pause (fn) {
+    this.held = fn
+  }
+
+  resume () {
+    this.held = () => false
+    this.next()
+  }
+
+  sort () {
+    this.queue.sort((a, b) => a.priority - b.priority || a.seq - b.seq)
+  }
+
+  next () {
+    while (this.active < this.workers) {
+      const ix = this.queue.findIndex(job => !this.held(job.key))
+      if (ix === -1) break
+      const [job] = this.queue.splice(ix, 1)
+      this.active++
+      if (job.key !== undefined) this.running.set(job.key, job)
+      Promise.resolve()
+        .then(() => job.fn(job.token))
+        .then(job.resolve, job.reject)
+        .then(() => {
+          this.active--
+          if (job.key !== undefined) this.running.delete(job.key)
+          this.next()
+        })
+    }
+  }
+}
+
+// keeps the tag of a shared job only while every caller has tagged it
+
+function retag (job, tag) {
+  job.tag = job.tag === undefined ? undefined : tag
+}
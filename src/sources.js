@@ -0,0 +1,403 @@
+'use strict'
+
+import realFs from 'fs'
+import { promisify } from 'util'
+import { join } from 'path'
+import Emitter from 'emitter'
+import Cache from './cache'
+import { META_DIR, isWithin, parseSize } from './util'
+
+/*
+ * Sources
+ *
+ * Several named sources behind one mount, each appearing as a top-level
+ * dir. The source dir is then given as a list, eg
+ *
+ *    music=/nas/music,archive=/mnt/usb/archive
+ *
+ * Each source has its own Cache. By default these share the cache dir,
+ * each using a sub-dir named after the source, but a source can have
+ * its own cache dir and quota in the config file:
+ *
+ *    "sources": {
+ *      "archive": { "cacheDir": "/ssd/archive", "cacheMaxSize": "50G" }
+ *    }
+ *
+ * The sources sharing the cache dir, and not given a quota of their own,
+ * split the quota between them equally. Rules are given with paths as
+ * seen through the mount.
+ *
+ * It offers the same API as a Cache, with paths as seen through the
+ * mount, and passes on the events from each cache with the paths in
+ * them prefixed by the source name (and errors tagged with the source).
+ *
+ * Construction
+ *    - sources: list of { name, sourceDir } as from parseSources
+ *    - options: as for a Cache
+ *
+ * Public API
+ *
+ *  as for Cache, plus
+ *  - caches - Map of the caches by source name
+ *
+ *  with status giving the number of sources online, and the status of
+ *  each source under sources
+ *
+ */
+
+const priv = Symbol('priv')
+
+const EVENTS = [
+  'request',
+  'cache',
+  'uncache',
+  'discard',
+  'stale',
+  'copied',
+  'removed',
+  'nospace',
+  'cancel',
+  'verified',
+  'corrupt',
+  'hit',
+  'miss',
+  'read',
+  'error'
+]
+
+// these name the source dir itself, so are passed on as they are
+
+const SOURCE_EVENTS = ['source-down', 'source-up']
+
+export default class Sources extends Emitter {
+  constructor (sources, options) {
+    super()
+    const { fs = realFs } = options
+    const caches = new Map()
+    const cacheDirs = []
+    for (const source of sources) {
+      const cacheOptions = sourceOptions(options, source, sources)
+      const cache = new Cache(cacheOptions)
+      cacheDirs.push(cacheOptions.cacheDir)
+      for (const event of EVENTS) {
+        cache.on(event, data => this.emit(event, prefixed(source.name, data)))
+      }
+      for (const event of SOURCE_EVENTS) {
+        cache.on(event, data => this.emit(event, data))
+      }
+      caches.set(source.name, cache)
+    }
+    Object.defineProperty(this, priv, {
+      value: {
+        sources,
+        caches,
+        cacheDirs,
+        rootDir: options.cacheDir,
+        openFiles: new Map(),
+        lstat: promisify(fs.lstat),
+        mkdir: promisify(fs.mkdir)
+      }
+    })
+  }
+
+  get caches () {
+    return this[priv].caches
+  }
+
+  async readdir (path) {
+    if (path === '/') return Array.from(this[priv].caches.keys()).sort()
+    const { cache, rest } = route(this, path)
+    return cache.readdir(rest)
+  }
+
+  async locate (path) {
+    const { rootDir, lstat } = this[priv]
+    if (path === '/') {
+      return {
+        path,
+        fullpath: rootDir,
+        cached: false,
+        cacheable: false,
+        stats: await lstat(rootDir)
+      }
+    }
+    const { cache, rest } = route(this, path)
+    return cache.locate(rest)
+  }
+
+  knownStats (path) {
+    if (path === '/') return undefined
+    const { cache, rest } = route(this, path)
+    return cache.knownStats(rest)
+  }
+
+  async onOpen (fd, path) {
+    if (path === '/') return
+    const { cache, rest } = route(this, path)
+    this[priv].openFiles.set(fd, cache)
+    return cache.onOpen(fd, rest)
+  }
+
+  onRead (fd, bytes) {
+    const cache = this[priv].openFiles.get(fd)
+    if (cache) cache.onRead(fd, bytes)
+  }
+
+  async readCopy (fd, buffer, length, position) {
+    const cache = this[priv].openFiles.get(fd)
+    if (!cache) return undefined
+    return cache.readCopy(fd, buffer, length, position)
+  }
+
+  onClose (fd) {
+    const { openFiles } = this[priv]
+    const cache = openFiles.get(fd)
+    if (!cache) return
+    openFiles.delete(fd)
+    cache.onClose(fd)
+  }
+
+  async clean (cleanIgnore, cleanAfter, dryRun) {
+    return each(this, cache => cache.clean(cleanIgnore, cleanAfter, dryRun))
+  }
+
+  async verify (path) {
+    if (path === '/') return each(this, cache => cache.verify('/'))
+    const { name, cache, rest } = route(this, path)
+    return prefixed(name, await cache.verify(rest))
+  }
+
+  // a source which is offline is reported, and the others swept
+
+  async sweep (dryRun) {
+    return each(this, cache =>
+      cache.sweep(dryRun).catch(err => {
+        cache.emit('error', err)
+        return []
+      })
+    )
+  }
+
+  async warm (path) {
+    if (path === '/') return each(this, cache => cache.warm('/'))
+    const { name, cache, rest } = route(this, path)
+    return prefixed(name, await cache.warm(rest))
+  }
+
+  async evict (path) {
+    if (path === '/') return each(this, cache => cache.evict('/'))
+    const { name, cache, rest } = route(this, path)
+    return prefixed(name, await cache.evict(rest))
+  }
+
+  async pin (path) {
+    if (path === '/') return each(this, cache => cache.pin('/'))
+    const { name, cache, rest } = route(this, path)
+    return prefixed(name, await cache.pin(rest))
+  }
+
+  async unpin (path) {
+    const { cache, rest } = route(this, path)
+    return cache.unpin(rest)
+  }
+
+  pinned () {
+    const paths = []
+    for (const [name, cache] of this[priv].caches) {
+      paths.push(...prefixed(name, cache.pinned()))
+    }
+    return paths.sort()
+  }
+
+  async history (query) {
+    const dirs = []
+    const misses = []
+    const days = new Map()
+    for (const [name, cache] of this[priv].caches) {
+      const report = await cache.history(query)
+      dirs.push(...report.dirs.map(d => ({ ...d, dir: prefixed(name, d.dir) })))
+      misses.push(
+        ...report.misses.map(m => ({ ...m, path: prefixed(name, m.path) }))
+      )
+      for (const { date, hits, misses } of report.ratio) {
+        const day = days.get(date) || { date, hits: 0, misses: 0 }
+        day.hits += hits
+        day.misses += misses
+        days.set(date, day)
+      }
+    }
+    const { limit = 10 } = query || {}
+    return {
+      dirs: dirs.sort((a, b) => b.plays - a.plays).slice(0, limit),
+      ratio: Array.from(days.values())
+        .sort((a, b) => (a.date < b.date ? -1 : 1))
+        .map(day => ({ ...day, ratio: day.hits / (day.hits + day.misses) })),
+      misses: misses.sort((a, b) => b.opens - a.opens).slice(0, limit)
+    }
+  }
+
+  async recover () {
+    const { cacheDirs, mkdir } = this[priv]
+    for (const dir of cacheDirs) {
+      try {
+        await mkdir(dir)
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err
+      }
+    }
+    await each(this, cache => cache.recover())
+  }
+
+  async load () {
+    await each(this, cache => cache.load())
+  }
+
+  async close () {
+    await each(this, cache => cache.close())
+  }
+
+  configure (options) {
+    const { sources, caches } = this[priv]
+    for (const source of sources) {
+      caches.get(source.name).configure(sourceOptions(options, source, sources))
+    }
+  }
+
+  status () {
+    const total = {
+      files: 0,
+      bytes: 0,
+      maxSize: 0,
+      open: 0,
+      queued: 0,
+      pins: 0,
+      online: 0
+    }
+    const sources = {}
+    for (const [name, cache] of this[priv].caches) {
+      const status = cache.status()
+      for (const key of Object.keys(total)) total[key] += status[key]
+      sources[name] = status
+    }
+    return { ...total, sources }
+  }
+
+  list () {
+    const entries = []
+    for (const [name, cache] of this[priv].caches) {
+      for (const entry of cache.list()) {
+        entries.push({ ...entry, path: prefixed(name, entry.path) })
+      }
+    }
+    return entries.sort((a, b) => (a.path < b.path ? -1 : 1))
+  }
+}
+
+// turns a source dir given as name=dir,... into a list of sources, or
+// undefined if it is just a dir
+
+export function parseSources ({ sourceDir }) {
+  if (!sourceDir || !sourceDir.includes('=')) return undefined
+  const sources = sourceDir.split(',').map(spec => {
+    const m = /^([\w.-]+)=(.+)$/.exec(spec.trim())
+    if (!m) throw new Error(`Invalid source: ${spec}`)
+    return { name: m[1], sourceDir: m[2] }
+  })
+  const names = sources.map(s => s.name)
+  const dup = names.find((name, ix) => names.indexOf(name) !== ix)
+  if (dup) throw new Error(`Source named twice: ${dup}`)
+  return sources
+}
+
+// whether a cache dir is shared by several sources, so holding a meta
+// dir in the sub-dir of each
+
+export function isSharedCacheDir (cacheDir, fs = realFs) {
+  let names
+  try {
+    names = fs.readdirSync(cacheDir)
+  } catch (err) {
+    if (err.code === 'ENOENT') return false
+    throw err
+  }
+  return names.some(
+    name => name !== META_DIR && fs.existsSync(join(cacheDir, name, META_DIR))
+  )
+}
+
+// a Cache for a plain source dir, or Sources for a list
+
+export function createCache (options) {
+  const sources = parseSources(options)
+  return sources ? new Sources(sources, options) : new Cache(options)
+}
+
+// the options for the cache of one source
+
+function sourceOptions (options, { name, sourceDir }, all) {
+  const { sources = {}, rules = [] } = options
+  const prefix = '/' + name
+  return {
+    ...options,
+    sourceDir,
+    cacheDir: join(options.cacheDir, name),
+    cacheMaxSize: sharedQuota(options, all),
+    ...sources[name],
+    rules: rules
+      .filter(
+        rule => isWithin(rule.path, prefix) || isWithin(prefix, rule.path)
+      )
+      .map(rule => ({
+        ...rule,
+        path: isWithin(rule.path, prefix)
+          ? rule.path.slice(prefix.length) || '/'
+          : '/'
+      }))
+  }
+}
+
+// the share of the quota for each source using the shared cache dir
+// without a quota of its own
+
+function sharedQuota ({ sources = {}, cacheMaxSize }, all) {
+  const own = name => sources[name] || {}
+  const sharing = all.filter(
+    ({ name }) => !own(name).cacheDir && own(name).cacheMaxSize === undefined
+  )
+  const quota = parseSize(cacheMaxSize)
+  if (!quota || !sharing.length) return cacheMaxSize
+  return Math.floor(quota / sharing.length)
+}
+
+function route (sources, path) {
+  const [, name, ...rest] = path.split('/')
+  const cache = sources[priv].caches.get(name)
+  if (!cache) {
+    const err = new Error(`ENOENT: no such source: ${path}`)
+    err.code = 'ENOENT'
+    throw err
+  }
+  return { name, cache, rest: '/' + rest.join('/') }
+}
+
+// runs fn for each cache, combining any lists of paths returned
+
+async function each (sources, fn) {
+  const results = []
+  for (const [name, cache] of sources[priv].caches) {
+    const result = await fn(cache)
+    if (Array.isArray(result)) results.push(...prefixed(name, result))
+  }
+  return results
+}
+
+// puts the source name in front of any paths
+
+function prefixed (name, data) {
+  if (typeof data === 'string' && data.startsWith('/')) {
+    return data === '/' ? `/${name}` : `/${name}${data}`
+  }
+  if (Array.isArray(data)) return data.map(item => prefixed(name, item))
+  if (data instanceof Error) data.source = name
+  return data
+}
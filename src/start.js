@@ -2,19 +2,30 @@
 
 import getVfs from './vfs'
 import Report from './report'
+import getControl from './control'
+import Metrics from './metrics'
+import { loadConfig, compareConfig } from './config'
+import { parseSources } from './sources'
 import { version } from '../package.json'
 
-export default function start (sourceDir, cacheDir, mountDir, options) {
-  Object.assign(options, {
-    sourceDir,
-    cacheDir,
-    mountDir,
-    version
-  })
+export default function start (sourceDir, cacheDir, mountDir, cliOptions) {
+  const fixed = { sourceDir, cacheDir, mountDir, version }
+  let options, report, vfs, cache
+  try {
+    options = { ...loadConfig(cliOptions), ...fixed }
+    parseSources(options)
+    report = new Report(options)
+    ;[vfs, cache] = getVfs(options)
+  } catch (err) {
+    console.error(err.message)
+    process.exit(1)
+  }
+  let cleanTimer, scrubTimer
 
-  const [vfs, cache] = getVfs(options)
-  const report = new Report(options)
   report.attach(cache)
+  const control = getControl(cache, report, options)
+  const metrics = new Metrics(options)
+  metrics.attach(cache)
 
   start().catch(err => {
     console.error(err)
@@ -22,28 +33,87 @@ export default function start (sourceDir, cacheDir, mountDir, options) {
   })
 
   async function start () {
-    const { cleanAfter } = options
-    if (cleanAfter) {
-      setInterval(nudge, 1000 * cleanAfter).unref()
-    }
-
+    schedule()
     report.heading()
+    // before recovering, which would spoil the copies of another instance
+    await control.start()
+    report.recovering()
+    await cache.recover()
     await vfs.mount(mountDir)
+    await metrics.start()
     report.started()
     nudge()
 
     process.on('SIGINT', stop).on('SIGTERM', stop)
     process.on('SIGUSR1', nudge)
+    process.on('SIGHUP', reload)
   }
 
   async function stop () {
+    await control.stop()
+    await metrics.stop()
     await vfs.unmount()
+    await cache.close()
     report.stopped()
   }
 
   async function nudge () {
-    const { cleanIgnore, cleanAfter } = options
     report.cleaning()
-    await cache.clean(cleanIgnore, cleanAfter)
+    await cache.clean()
+  }
+
+  // checks the cached files against their checksums, reporting any
+  // failure rather than letting it stop the cache
+
+  async function scrub () {
+    report.scrubbing()
+    try {
+      await cache.verify()
+    } catch (err) {
+      cache.emit('error', err)
+    }
+  }
+
+  function schedule () {
+    clearInterval(cleanTimer)
+    clearInterval(scrubTimer)
+    const { cleanAfter, scrubInterval } = options
+    if (cleanAfter) {
+      cleanTimer = setInterval(nudge, 1000 * cleanAfter)
+      cleanTimer.unref()
+    }
+    if (scrubInterval) {
+      scrubTimer = setInterval(scrub, 1000 * scrubInterval)
+      scrubTimer.unref()
+    }
+  }
+
+  // re-reads the config, applying what can be changed while running
+
+  function reload () {
+    let next
+    try {
+      next = { ...loadConfig(cliOptions), ...fixed }
+    } catch (err) {
+      report.reloadFailed(err)
+      return
+    }
+
+    const { changed, rejected } = compareConfig(options, next)
+    const updated = { ...options }
+    for (const key of changed) updated[key] = next[key]
+    try {
+      report.configure(updated)
+      cache.configure(updated)
+    } catch (err) {
+      report.reloadFailed(err)
+      return
+    }
+
+    rejected.forEach(key => report.rejected(key))
+    Object.assign(options, updated)
+    schedule()
+    report.reloaded(changed)
+    if (changed.length) nudge()
   }
 }
@@ -0,0 +1,75 @@
+'use strict'
+
+import { dirname, resolve } from 'path'
+
+/*
+ * strategies
+ *
+ * A preload strategy decides which files to cache when a file is opened
+ * (or read) enough. It is called as
+ *
+ *    strategy(path, context)
+ *
+ * and resolves to an ordered list of paths (relative to the source dir),
+ * nearest first. The context holds
+ *
+ *  - count: how many files beyond the current one to preload
+ *  - files(dir) - resolves to the cacheable files in a dir, in playlist
+ *      order if it has any playlists, otherwise by name
+ *  - dirs(dir) - resolves to the sorted sub-dirs of a dir
+ *
+ * Built-in strategies
+ *
+ *  - siblings: the file and the next `count` in its dir
+ *  - album: the file and the rest of its dir, then those before it
+ *  - next-dir: as siblings, but running on into the next dir if the
+ *      current one is used up
+ *
+ * Any other name is taken as the path of a module exporting a strategy
+ * as its default (or only) export.
+ *
+ */
+
+const STRATEGIES = {
+  siblings,
+  album,
+  'next-dir': nextDir
+}
+
+export function getStrategy (strategy = 'siblings') {
+  if (typeof strategy === 'function') return strategy
+  if (STRATEGIES[strategy]) return STRATEGIES[strategy]
+  const mod = require(resolve(strategy))
+  const fn = mod && mod.default ? mod.default : mod
+  if (typeof fn !== 'function') {
+    throw new Error(`Not a preload strategy: ${strategy}`)
+  }
+  return fn
+}
+
+async function siblings (path, { count, files }) {
+  const list = await files(dirname(path))
+  const ix = list.indexOf(path)
+  return list.slice(ix, ix + count + 1)
+}
+
+async function album (path, { files }) {
+  const list = await files(dirname(path))
+  const ix = list.indexOf(path)
+  return [...list.slice(ix), ...list.slice(0, ix)]
+}
+
+async function nextDir (path, context) {
+  const { count, files, dirs } = context
+  const list = await siblings(path, context)
+  if (list.length > count) return list
+
+  const dir = dirname(path)
+  if (dir === '/') return list
+  const others = await dirs(dirname(dir))
+  const next = others[others.indexOf(dir) + 1]
+  if (!next) return list
+
+  const more = await files(next)
+  return [...list, ...more.slice(0, count + 1 - list.length)]
+}
@@ -0,0 +1,115 @@
+'use strict'
+
+import { promisify } from 'util'
+import { dirname, normalize } from 'path'
+
+/*
+ * util
+ *
+ * Small helpers shared across modules
+ *
+ */
+
+// the directory within the cache dir holding cachejs's own files
+export const META_DIR = '.cachejs'
+
+const SIZE_UNITS = { '': 1, K: 1e3, M: 1e6, G: 1e9, T: 1e12 }
+
+// converts a size like "20G" or "512M" into bytes
+
+export function parseSize (size) {
+  if (size == null || size === false) return 0
+  if (typeof size === 'number') return size
+  const m = /^\s*(\d+(?:\.\d+)?)\s*([KMGT]?)B?\s*$/i.exec(size)
+  if (!m) throw new Error(`Invalid size: ${size}`)
+  return Math.round(Number(m[1]) * SIZE_UNITS[m[2].toUpperCase()])
+}
+
+// is the path the same as, or beneath, the dir
+
+export function isWithin (path, dir) {
+  return dir === '/' || path === dir || path.startsWith(dir + '/')
+}
+
+// checks a path given to a command is absolute and cannot climb out of
+// the source or cache dir, returning it normalised
+
+export function checkPath (path) {
+  if (typeof path !== 'string' || !path.startsWith('/')) {
+    throw new Error('An absolute path is required')
+  }
+  if (path.split('/').includes('..')) {
+    throw new Error(`Invalid path: ${path}`)
+  }
+  const normal = normalize(path)
+  return normal.length > 1 ? normal.replace(/\/$/, '') : normal
+}
+
+// the reverse of parseSize, for display
+
+export function formatSize (bytes) {
+  const units = ['T', 'G', 'M', 'K']
+  for (const unit of units) {
+    if (bytes >= SIZE_UNITS[unit]) {
+      return (bytes / SIZE_UNITS[unit]).toFixed(1) + unit
+    }
+  }
+  return `${bytes}`
+}
+
+export function delay (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+// makes a dir, unless it is there already
+
+export async function makeDir (fs, dir) {
+  try {
+    await promisify(fs.mkdir)(dir)
+  } catch (err) {
+    // istanbul ignore if
+    if (err.code !== 'EEXIST') throw err
+  }
+}
+
+// writes a file atomically, by writing to a temp file and renaming that
+// into place, making its dir if need be
+
+export async function writeAtomic (fs, file, data) {
+  await makeDir(fs, dirname(file))
+  await promisify(fs.writeFile)(file + '.tmp', data)
+  await promisify(fs.rename)(file + '.tmp', file)
+}
+
+// keeps a JSON file up to date, writing out data() (atomically) shortly
+// after any change. Returns
+//
+//  - changed() - schedules a write, unless one is due already
+//  - save() - writes now
+//  - flush() - writes now if a write is due, resolving once written
+
+export function getSaver ({ file, fs, data, saveDelay, onError }) {
+  let timer
+  let saving = Promise.resolve()
+  return { changed, save, flush }
+
+  function changed () {
+    if (timer) return
+    timer = setTimeout(() => save().catch(onError), saveDelay)
+    timer.unref()
+  }
+
+  function save () {
+    clearTimeout(timer)
+    timer = undefined
+    saving = saving
+      .catch(() => {})
+      .then(() => writeAtomic(fs, file, JSON.stringify(data())))
+    return saving
+  }
+
+  async function flush () {
+    if (timer) await save()
+    return saving
+  }
+}
@@ -2,7 +2,7 @@
 
 import realFS from 'fs'
 import FuseFS from 'fuse-fs'
-import Cache from './cache'
+import { createCache } from './sources'
 
 /*
  * vfs
@@ -13,7 +13,7 @@ import Cache from './cache'
  */
 
 export default function getVfs (options) {
-  const cache = new Cache(options)
+  const cache = createCache(options)
   // istanbul ignore next
   options.fs = options.fs || realFS
   const { fuse, fs } = options
@@ -21,8 +21,10 @@ export default function getVfs (options) {
   const ffs = new FuseFS(fs, { options: fuseOpts, force: true })
 
   ffs.before('readdir', onReaddir)
-  ffs.before('getattr', 'open', redirectToCacheOrSource)
+  ffs.before('getattr', getattr)
+  ffs.before('open', redirectToCacheOrSource)
   ffs.after('open', onOpen)
+  ffs.before('read', readFromCopy)
   ffs.after('read', onRead)
   ffs.after('release', onClose)
 
@@ -33,6 +35,17 @@ export default function getVfs (options) {
     ctx.results = [null, await cache.readdir(path)]
   }
 
+  // the stats may still be held from the source, saving a trip there,
+  // but otherwise it is redirected as for an open
+
+  async function getattr (ctx) {
+    const [path] = ctx.args
+    const { fullpath } = await cache.locate(path)
+    const stats = cache.knownStats(path)
+    if (stats) ctx.results = [null, stats]
+    else ctx.args[0] = fullpath
+  }
+
   async function redirectToCacheOrSource (ctx) {
     const [path] = ctx.args
     const { fullpath } = await cache.locate(path)
@@ -49,6 +62,12 @@ export default function getVfs (options) {
     await cache.onOpen(fd, path)
   }
 
+  async function readFromCopy (ctx) {
+    const [, fd, buf, length, position] = ctx.args
+    const bytes = await cache.readCopy(fd, buf, length, position)
+    if (bytes !== undefined) ctx.results = [bytes]
+  }
+
   function onRead ({ args: [fd], results: [bytes] }) {
     // istanbul ignore if
     if (bytes < 0) return
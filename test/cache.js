@@ -4,6 +4,7 @@ import test from 'ava'
 
 import Cache from '../src/cache'
 import { MemFS } from 'mem-fs'
+import { createHash } from 'crypto'
 
 const options = {
   sourceDir: '/source',
@@ -181,9 +182,9 @@ test('clean some files', async t => {
   t.is(fs.readdirSync('/cache' + DIR).length, 3)
   const calls = getCalls(c)
 
-  const then = new Date(Date.now() - 10000)
-  fs.utimesSync('/cache' + DIR + '/file4.flac', then, then)
-  fs.utimesSync('/cache' + DIR + '/file1.flac', then, then)
+  const then = Date.now() - 10000
+  c.catalog.get(DIR + '/file4.flac').accessed = then
+  c.catalog.get(DIR + '/file1.flac').accessed = then
 
   await c.clean(/^.*1\.flac$/, 5)
   t.deepEqual(calls, [['uncache', DIR + '/file4.flac']])
@@ -200,20 +201,699 @@ test('clean all files', async t => {
   t.is(fs.readdirSync('/cache' + DIR).length, 2)
   const calls = getCalls(c)
 
-  const then = new Date(Date.now() - 10000)
-  fs.utimesSync('/cache' + DIR + '/file3.flac', then, then)
-  fs.utimesSync('/cache' + DIR + '/file1.flac', then, then)
+  const then = Date.now() - 10000
+  c.catalog.get(DIR + '/file3.flac').accessed = then
+  c.catalog.get(DIR + '/file1.flac').accessed = then
 
   await c.clean(/$./, 5)
   t.deepEqual(calls, [
     ['uncache', DIR + '/file1.flac'],
     ['uncache', DIR + '/file3.flac']
   ])
+  // only the history of the play is left
+  t.deepEqual(fs.readdirSync('/cache'), ['.cachejs'])
+})
+
+test('clean skips the meta dirs of sources cached below', async t => {
+  const { fs } = t.context
+  fs.mkdirSync('/cache/music')
+  fs.mkdirSync('/cache/music/.cachejs')
+  fs.writeFileSync('/cache/music/.cachejs/pins.json', '["/foo"]')
+  fs.writeFileSync('/cache/music/file1.flac', 'data567890')
+
+  const c = new Cache({ cacheDir: '/cache', fs })
+  await c.load()
+  t.deepEqual(await c.clean(/$./, -1), ['/music/file1.flac'])
+  t.deepEqual(fs.readdirSync('/cache/music'), ['.cachejs'])
+  t.true(fs.existsSync('/cache/music/.cachejs/pins.json'))
+})
+
+test('evict least recently used files when cleaning', async t => {
+  const { fs } = t.context
+  const c1 = new Cache({ ...options, fs })
+
+  await c1.onOpen(1, DIR + '/file1.flac')
+  await delay(100)
+  c1.onClose(1)
+
+  const now = Date.now()
+  const setTime = (file, ago) => {
+    const then = new Date(now - ago)
+    fs.utimesSync('/cache' + DIR + file, then, then)
+  }
+  setTime('/file1.flac', 2000)
+  setTime('/file3.flac', 3000)
+  setTime('/file4.flac', 1000)
+
+  const c2 = new Cache({
+    ...options,
+    fs,
+    cacheMaxSize: 30,
+    cacheHighWater: 50,
+    cacheLowWater: 40
+  })
+  const calls = getCalls(c2)
+
+  // catalog rebuilt from the access times
+  await c2.recover()
+  await c2.clean(/$./, 60)
+  t.deepEqual(calls, [
+    ['uncache', DIR + '/file3.flac'],
+    ['uncache', DIR + '/file1.flac']
+  ])
+  t.deepEqual(fs.readdirSync('/cache' + DIR), ['file4.flac'])
+})
+
+test('evict files to make room when caching', async t => {
+  const { fs } = t.context
+  const c = new Cache({
+    ...options,
+    fs,
+    cacheMaxSize: 25,
+    cleanIgnore: /1\.flac$/
+  })
+  const calls = getCalls(c)
+  const file = DIR + '/file1.flac'
+
+  await c.onOpen(1, file)
+  await delay(100)
+  c.onClose(1)
+
+  t.deepEqual(calls, [
+    ['miss', file],
+    ['request', ['time', file]],
+    ['cache', file],
+    ['cache', DIR + '/file3.flac'],
+    ['uncache', DIR + '/file3.flac'],
+    ['cache', DIR + '/file4.flac']
+  ])
+})
+
+test('recover partial and truncated copies', async t => {
+  const { fs } = t.context
+  fs.mkdirSync('/cache/foo')
+  fs.mkdirSync('/cache/foo/bar')
+  fs.writeFileSync('/cache' + DIR + '/file1.flac', 'data567890')
+  fs.writeFileSync('/cache' + DIR + '/file3.flac', 'data5')
+  fs.writeFileSync('/cache' + DIR + '/file4.flac.cachejs-tmp', 'data')
+
+  const c = new Cache({ ...options, fs })
+  const calls = getCalls(c)
+
+  await c.recover()
+  t.deepEqual(calls.sort(), [
+    ['discard', DIR + '/file3.flac'],
+    ['discard', DIR + '/file4.flac.cachejs-tmp']
+  ])
+  t.deepEqual(fs.readdirSync('/cache' + DIR), ['file1.flac'])
+
+  const rec = await c.locate(DIR + '/file3.flac')
+  t.is(rec.cached, false)
+})
+
+test('invalidate stale cached file', async t => {
+  const { fs } = t.context
+  const c = new Cache({ ...options, fs, preloadSiblings: 0 })
+  const file = DIR + '/file1.flac'
+
+  await c.onOpen(1, file)
+  await delay(100)
+  c.onClose(1)
+  t.true(fs.existsSync('/cache' + file))
+
+  const calls = getCalls(c)
+  fs.writeFileSync('/source' + file, 'new data567890')
+
+  // recently checked, so not checked again
+  let rec = await c.locate(file)
+  t.is(rec.cached, true)
+  await c.close()
+
+  const c2 = new Cache({ ...options, fs })
+  await c2.recover()
+  const calls2 = getCalls(c2)
+  rec = await c2.locate(file)
+  t.is(rec.cached, false)
+  t.is(rec.fullpath, '/source' + file)
+  await delay(20)
+
+  t.deepEqual(calls, [])
+  t.deepEqual(calls2, [['stale', file], ['uncache', file]])
+  t.false(fs.existsSync('/cache' + file))
+})
+
+test('catalog records cached files and hits', async t => {
+  const { fs } = t.context
+  const c = new Cache({ ...options, fs })
+  const file = DIR + '/file1.flac'
+
+  await c.onOpen(1, file)
+  await delay(100)
+  c.onClose(1)
+
+  t.is(c.catalog.count, 3)
+  t.is(c.catalog.bytes, 30)
+  t.is(c.catalog.get(file).hits, 0)
+
+  await c.onOpen(1, file)
+  c.onClose(1)
+  t.is(c.catalog.get(file).hits, 1)
+
+  await c.close()
+  t.true(fs.existsSync('/cache/.cachejs/index.json'))
+
+  const c2 = new Cache({ ...options, fs })
+  await c2.recover()
+  t.is(c2.catalog.count, 3)
+  t.is(c2.catalog.get(file).hits, 1)
+})
+
+test('catalog rebuilt if corrupt', async t => {
+  const { fs } = t.context
+  fs.mkdirSync('/cache/.cachejs')
+  fs.writeFileSync('/cache/.cachejs/index.json', '{ not json')
+  fs.mkdirSync('/cache/foo')
+  fs.mkdirSync('/cache/foo/bar')
+  fs.writeFileSync('/cache' + DIR + '/file1.flac', 'data567890')
+
+  const c = new Cache({ ...options, fs })
+  await c.recover()
+  t.is(c.catalog.count, 1)
+  t.is(c.catalog.get(DIR + '/file1.flac').size, 10)
+})
+
+test('clean dry run', async t => {
+  const { fs } = t.context
+  const c = new Cache({ ...options, fs })
+
+  await c.onOpen(1, DIR + '/file1.flac')
+  await delay(100)
+  c.onClose(1)
+  const calls = getCalls(c)
+
+  c.catalog.get(DIR + '/file3.flac').accessed = Date.now() - 10000
+
+  const files = await c.clean(/$./, 5, true)
+  t.deepEqual(files, [DIR + '/file3.flac'])
+  t.deepEqual(calls, [])
+  t.is(fs.readdirSync('/cache' + DIR).length, 3)
+})
+
+test('load catalog without changing the cache', async t => {
+  const { fs } = t.context
+  fs.mkdirSync('/cache/foo')
+  fs.mkdirSync('/cache/foo/bar')
+  fs.writeFileSync('/cache' + DIR + '/file1.flac', 'data567890')
+  fs.writeFileSync('/cache' + DIR + '/file3.flac.cachejs-tmp', 'data')
+
+  const c = new Cache({ cacheDir: '/cache', fs })
+  await c.load()
+  t.deepEqual(c.list().map(({ path }) => path), [DIR + '/file1.flac'])
+  t.deepEqual(c.status(), {
+    files: 1,
+    bytes: 10,
+    maxSize: 0,
+    open: 0,
+    queued: 0,
+    pins: 0,
+    online: true
+  })
+  t.is(fs.readdirSync('/cache' + DIR).length, 2)
+})
+
+test('read from the copy of a file opened from the source', async t => {
+  const { fs } = t.context
+  const c = new Cache({ ...options, fs, preloadSiblings: 0 })
+  const file = DIR + '/file1.flac'
+  const buf = Buffer.alloc(10)
+
+  await c.onOpen(1, file)
+  t.is(await c.readCopy(1, buf, 4, 0), undefined)
+  await delay(100)
+
+  t.is(await c.readCopy(1, buf, 4, 2), 4)
+  t.is(buf.toString('utf8', 0, 4), 'ta56')
+  c.onClose(1)
+
+  // opened from the cache, so nothing to redirect
+  await c.onOpen(2, file)
+  t.is(await c.readCopy(2, buf, 4, 0), undefined)
+  c.onClose(2)
+  t.is(await c.readCopy(3, buf, 4, 0), undefined)
+})
+
+test('throttle copies', async t => {
+  const { fs } = t.context
+  const c = new Cache({ ...options, fs, maxWarmRate: 100 })
+
+  const start = Date.now()
+  const files = await c.warm(DIR + '/file1.flac')
+  t.deepEqual(files, [DIR + '/file1.flac'])
+  t.true(Date.now() - start >= 90)
+})
+
+test('throttle copies across workers', async t => {
+  const { fs } = t.context
+  const c = new Cache({ ...options, fs, maxWarmRate: 100, copyWorkers: 2 })
+
+  // 40 bytes at 100 bytes/sec, however many are copying
+  const start = Date.now()
+  const files = await c.warm(DIR)
+  t.is(files.length, 4)
+  t.true(Date.now() - start >= 350)
+})
+
+test('cancel preloads on close', async t => {
+  const { fs } = t.context
+  const c = new Cache({
+    ...options,
+    fs,
+    preloadOpen: 10,
+    preloadSiblings: 3,
+    maxCopyRate: 100
+  })
+  const calls = getCalls(c)
+  const file = DIR + '/file1.flac'
+
+  await c.onOpen(1, file)
+  await delay(40) // file1 is now being copied
+  c.onClose(1)
+  await delay(150)
+
+  t.deepEqual(calls, [
+    ['miss', file],
+    ['request', ['time', file]],
+    ['cancel', DIR + '/file3.flac'],
+    ['cancel', DIR + '/file4.flac'],
+    ['cancel', DIR + '/file5.flac'],
+    ['cancel', file]
+  ])
+  t.false(fs.existsSync('/cache' + file))
+  t.false(fs.existsSync('/cache' + file + '.cachejs-tmp'))
+  t.false(fs.existsSync('/cache/foo'))
+  t.is(c.status().queued, 0)
+})
+
+test('preload in playlist order', async t => {
+  const { fs } = t.context
+  fs.writeFileSync(
+    '/source/foo/bar/list.m3u',
+    'file1.flac\nfile5.flac\nfile3.flac\n'
+  )
+  const c = new Cache({ ...options, fs, preloadSiblings: 1, preloadOpen: 10 })
+  const calls = getCalls(c)
+  const file = DIR + '/file1.flac'
+
+  await c.onOpen(1, file)
+  await delay(50)
+  c.onClose(1)
+
+  t.deepEqual(calls, [
+    ['miss', file],
+    ['request', ['time', file]],
+    ['cache', file],
+    ['cache', DIR + '/file5.flac']
+  ])
+})
+
+test('preload the files in an opened playlist', async t => {
+  const { fs } = t.context
+  fs.writeFileSync(
+    '/source/list.m3u8',
+    'foo/bar/file4.flac\nfoo/bar/file2.claf\n/source/foo/bar/file3.flac\n'
+  )
+  const c = new Cache({ ...options, fs })
+  const calls = getCalls(c)
+
+  await c.onOpen(1, '/list.m3u8')
+  await delay(50)
+  c.onClose(1)
+
+  t.deepEqual(calls, [
+    ['read', '/list.m3u8'],
+    ['request', ['playlist', '/list.m3u8']],
+    ['cache', DIR + '/file4.flac'],
+    ['cache', DIR + '/file3.flac']
+  ])
+})
+
+test('rules for paths', async t => {
+  const { fs } = t.context
+  fs.mkdirSync('/source/foo/baz')
+  fs.writeFileSync('/source/foo/baz/file1.flac', 'data567890')
+  const c = new Cache({
+    ...options,
+    fs,
+    cleanAfter: 60,
+    rules: [{ path: '/foo', cleanAfter: 5 }, { path: '/foo/baz', cache: false }]
+  })
+
+  t.false((await c.locate('/foo/baz/file1.flac')).cacheable)
+  t.true((await c.locate(DIR + '/file1.flac')).cacheable)
+  t.deepEqual(await c.warm('/foo'), [
+    DIR + '/file1.flac',
+    DIR + '/file3.flac',
+    DIR + '/file4.flac',
+    DIR + '/file5.flac'
+  ])
+
+  c.catalog.get(DIR + '/file1.flac').accessed = Date.now() - 10 * 1000
+  t.deepEqual(await c.clean(), [DIR + '/file1.flac'])
+})
+
+test('reconfigure', async t => {
+  const { fs } = t.context
+  const c = new Cache({ ...options, fs })
+  const file = DIR + '/file2.claf'
+
+  t.false((await c.locate(file)).cacheable)
+  c.configure({ ...options, preloadFilter: '\\.claf$', cacheMaxSize: '1K' })
+  t.true((await c.locate(file)).cacheable)
+  t.is(c.status().maxSize, 1000)
+})
+
+test('pinned files are never cleaned', async t => {
+  const { fs } = t.context
+  const c = new Cache({ ...options, fs, cacheMaxSize: 30 })
+
+  t.deepEqual(await c.pin(DIR + '/file1.flac'), [DIR + '/file1.flac'])
+  t.deepEqual(await c.warm(DIR + '/file3.flac'), [DIR + '/file3.flac'])
+  t.deepEqual(c.pinned(), [DIR + '/file1.flac'])
+  t.is(c.status().pins, 1)
+
+  const then = Date.now() - 10000
+  c.catalog.get(DIR + '/file1.flac').accessed = then
+  c.catalog.get(DIR + '/file3.flac').accessed = then
+  t.deepEqual(await c.clean(/$./, 5), [DIR + '/file3.flac'])
+
+  // the quota evicts others before it
+  await c.warm(DIR + '/file4.flac')
+  await c.warm(DIR + '/file5.flac')
+  await c.warm(DIR + '/file3.flac')
+  t.true(fs.existsSync('/cache' + DIR + '/file1.flac'))
+  t.false(fs.existsSync('/cache' + DIR + '/file4.flac'))
+
+  // and are remembered
+  const c2 = new Cache({ ...options, fs })
+  await c2.load()
+  t.deepEqual(c2.pinned(), [DIR + '/file1.flac'])
+
+  t.true(await c2.unpin(DIR + '/file1.flac'))
+  t.false(await c2.unpin(DIR + '/file1.flac'))
+  c2.catalog.get(DIR + '/file1.flac').accessed = then
+  t.deepEqual(await c2.clean(/$./, 5), [DIR + '/file1.flac'])
+})
+
+test('plays are recorded in the history', async t => {
+  const { fs } = t.context
+  const c = new Cache({ ...options, fs })
+  const file = DIR + '/file1.flac'
+
+  await c.onOpen(1, file)
+  c.onRead(1, 4)
+  c.onClose(1)
+  await c.close()
+
+  const { dirs, ratio } = await c.history()
+  t.deepEqual(dirs.map(({ dir, plays, bytes }) => ({ dir, plays, bytes })), [
+    { dir: DIR, plays: 1, bytes: 4 }
+  ])
+  t.is(ratio[0].misses, 1)
+})
+
+test('prefetch the next dir from the history', async t => {
+  const { fs } = t.context
+  fs.mkdirSync('/source/foo/baz')
+  fs.writeFileSync('/source/foo/baz/file1.flac', 'data567890')
+  fs.writeFileSync('/source/foo/baz/file2.flac', 'data567890')
+  fs.mkdirSync('/cache/.cachejs')
+  const played = [DIR, '/foo/baz', DIR, '/foo/baz']
+  fs.writeFileSync(
+    '/cache/.cachejs/history.jsonl',
+    played
+      .map((dir, ix) => JSON.stringify([ix, 1, 10, 0, dir + '/file1.flac']))
+      .join('\n')
+  )
+  const c = new Cache({ ...options, fs, preloadOpen: 10, predictFiles: 1 })
+  const calls = getCalls(c)
+  await c.load()
+
+  // not near the end of the dir
+  await c.onOpen(1, DIR + '/file1.flac')
+  await delay(100)
+  t.false(calls.some(([, data]) => data[0] === 'predict'))
+
+  await c.onOpen(2, DIR + '/file4.flac')
+  await delay(100)
+  t.true(calls.some(([, data]) => data[0] === 'predict'))
+  t.true(fs.existsSync('/cache/foo/baz/file1.flac'))
+  t.false(fs.existsSync('/cache/foo/baz/file2.flac'))
+})
+
+test('prefetch only within the budget and threshold', async t => {
+  const { fs } = t.context
+  fs.mkdirSync('/source/foo/baz')
+  fs.writeFileSync('/source/foo/baz/file1.flac', 'data567890')
+  const c = new Cache({ ...options, fs, preloadOpen: 10, predictFiles: 1 })
+  for (const dir of [DIR, '/foo/baz', DIR, '/foo/baz', DIR]) {
+    await c.onOpen(1, dir + '/file1.flac')
+    c.onClose(1)
+  }
+
+  c.configure({ ...options, predictFiles: 1, predictBudget: 5 })
+  await c.onOpen(1, DIR + '/file5.flac')
+  await delay(100)
+  t.false(fs.existsSync('/cache/foo/baz/file1.flac'))
+
+  c.configure({ ...options, predictFiles: 1, predictThreshold: 100 })
+  fs.mkdirSync('/source/foo/qux')
+  fs.writeFileSync('/source/foo/qux/file1.flac', 'data567890')
+  await c.onOpen(2, '/foo/qux/file1.flac')
+  await c.onOpen(3, DIR + '/file5.flac')
+  await delay(100)
+  t.false(fs.existsSync('/cache/foo/baz/file1.flac'))
+
+  c.configure({ ...options, predictFiles: 1, predictThreshold: 60 })
+  await c.onOpen(4, DIR + '/file5.flac')
+  await delay(100)
+  t.true(fs.existsSync('/cache/foo/baz/file1.flac'))
+})
+
+test('serve from the cache while the source is offline', async t => {
+  const { fs } = t.context
+  const c = new Cache({ ...options, fs, sourceCheck: 0.05 })
+  const calls = getCalls(c)
+  await c.warm(DIR + '/file1.flac')
+
+  const files = fs.readdirSync('/source' + DIR)
+  files.forEach(f => fs.unlinkSync(`/source${DIR}/${f}`))
+  for (const dir of [DIR, '/foo', '']) fs.rmdirSync('/source' + dir)
+
+  t.deepEqual(await c.readdir(DIR), ['file1.flac'])
+  t.deepEqual(await c.readdir('/'), ['foo'])
+  t.true((await c.locate(DIR + '/file1.flac')).cached)
+  await t.throwsAsync(() => c.locate(DIR + '/file3.flac'), {
+    code: 'EHOSTDOWN'
+  })
+  await t.throwsAsync(() => c.readdir('/foo/baz'), { code: 'ENOENT' })
+  t.false(c.status().online)
+
+  makeFS(fs, false)
+  await delay(150)
+  t.true(c.status().online)
+  t.is((await c.readdir(DIR)).length, 5)
+  await t.throwsAsync(() => c.locate(DIR + '/file9.flac'), { code: 'ENOENT' })
+  t.deepEqual(calls.filter(([event]) => event.startsWith('source')), [
+    ['source-down', '/source'],
+    ['source-up', '/source']
+  ])
+  await c.close()
+})
+
+test('missing files do not keep checking the source', async t => {
+  const { fs } = t.context
+  let checks = 0
+  const lstat = fs.lstat
+  fs.lstat = (path, cb) => {
+    if (path === '/source') checks++
+    return lstat(path, cb)
+  }
+  const c = new Cache({ ...options, fs, sourceCheck: 60 })
+  for (let i = 0; i < 5; i++) {
+    await t.throwsAsync(() => c.locate(DIR + '/cover.jpg'), { code: 'ENOENT' })
+  }
+  t.is(checks, 1)
+  t.true(c.status().online)
+})
+
+test('source listings and stats are kept', async t => {
+  const { fs } = t.context
+  const opts = { ...options, fs, metadataTtl: 60, metadataPersist: true }
+  const c = new Cache(opts)
+  t.is((await c.readdir(DIR)).length, 5)
+  fs.writeFileSync('/source' + DIR + '/file6.flac', 'data567890')
+  t.is((await c.readdir(DIR)).length, 5)
+
+  // caching a file drops the listing of its dir
+  await c.warm(DIR + '/file1.flac')
+  t.is((await c.readdir(DIR)).length, 6)
+  t.false((await c.locate(DIR + '/file3.flac')).cached)
+  await c.close()
+
+  // and they are kept over a restart
+  fs.writeFileSync('/source' + DIR + '/file7.flac', 'data567890')
+  const c2 = new Cache(opts)
+  await c2.load()
+  t.is((await c2.readdir(DIR)).length, 6)
+  t.is((await c2.locate(DIR + '/file3.flac')).stats.size, 10)
+})
+
+test('known stats only while kept', async t => {
+  const { fs } = t.context
+  const c = new Cache({ ...options, fs })
+  t.is((await c.locate(DIR + '/file3.flac')).stats.size, 10)
+  t.is(c.knownStats(DIR + '/file3.flac'), undefined)
+
+  c.configure({ ...options, metadataTtl: 60 })
+  await c.locate(DIR + '/file4.flac')
+  t.is(c.knownStats(DIR + '/file4.flac').size, 10)
+})
+
+test('preloads use the kept listings', async t => {
+  const { fs } = t.context
+  const c = new Cache({
+    ...options,
+    fs,
+    preloadOpen: 10,
+    preloadSiblings: 5,
+    metadataTtl: 60
+  })
+  t.is((await c.readdir(DIR)).length, 5)
+  fs.writeFileSync('/source' + DIR + '/file6.flac', 'data567890')
+
+  await c.onOpen(1, DIR + '/file1.flac')
+  await delay(100)
+  c.onClose(1)
+  t.true(fs.existsSync('/cache' + DIR + '/file5.flac'))
+  t.false(fs.existsSync('/cache' + DIR + '/file6.flac'))
+})
+
+test('sweep out files gone from the source', async t => {
+  const { fs } = t.context
+  const c = new Cache({ ...options, fs })
+  const calls = getCalls(c)
+  for (const f of ['file1', 'file3', 'file4']) {
+    await c.warm(`${DIR}/${f}.flac`)
+  }
+  await c.pin(DIR + '/file4.flac')
+  for (const f of ['file3', 'file4']) fs.unlinkSync(`/source${DIR}/${f}.flac`)
+  calls.splice(0)
+
+  t.deepEqual(await c.sweep(true), [DIR + '/file3.flac'])
+  t.true(fs.existsSync('/cache' + DIR + '/file3.flac'))
+  t.deepEqual(await c.sweep(), [DIR + '/file3.flac'])
+  t.false(fs.existsSync('/cache' + DIR + '/file3.flac'))
+  t.true(fs.existsSync('/cache' + DIR + '/file4.flac'))
+  t.deepEqual(calls, [['uncache', DIR + '/file3.flac']])
+
+  // an empty source is taken as offline
+  const files = fs.readdirSync('/source' + DIR)
+  files.forEach(f => fs.unlinkSync(`/source${DIR}/${f}`))
+  for (const dir of [DIR, '/foo']) fs.rmdirSync('/source' + dir)
+  await t.throwsAsync(() => c.sweep(), { code: 'EHOSTDOWN' })
+  t.true(fs.existsSync('/cache' + DIR + '/file1.flac'))
+})
+
+test('checksums and scrubbing', async t => {
+  const { fs } = t.context
+  const c = new Cache({ ...options, fs, checksum: true })
+  const calls = getCalls(c)
+  await c.warm(DIR + '/file1.flac')
+  await c.warm(DIR + '/file3.flac')
+  await c.pin(DIR + '/file4.flac')
+  const sum = createHash('sha1')
+    .update('data567890')
+    .digest('hex')
+  t.is(c.catalog.get(DIR + '/file1.flac').checksum, sum)
+  t.deepEqual(await c.verify(), [])
+
+  fs.writeFileSync('/cache' + DIR + '/file1.flac', 'data567899')
+  fs.writeFileSync('/cache' + DIR + '/file4.flac', 'data567899')
+  calls.splice(0)
+  t.deepEqual(await c.verify(DIR), [DIR + '/file1.flac', DIR + '/file4.flac'])
+  await delay(50)
+
+  t.false(fs.existsSync('/cache' + DIR + '/file1.flac'))
+  const copy = fs.readFileSync('/cache' + DIR + '/file4.flac', 'utf8')
+  t.is(copy, 'data567890')
+  t.deepEqual(calls.filter(([event]) => event !== 'cache'), [
+    ['corrupt', DIR + '/file1.flac'],
+    ['uncache', DIR + '/file1.flac'],
+    ['verified', DIR + '/file3.flac'],
+    ['corrupt', DIR + '/file4.flac'],
+    ['uncache', DIR + '/file4.flac']
+  ])
+})
+
+test('throttle scrubbing across workers', async t => {
+  const { fs } = t.context
+  const opts = { ...options, checksum: true, copyWorkers: 2 }
+  const c = new Cache({ ...opts, fs })
+  await c.warm(DIR)
+
+  c.configure({ ...opts, maxVerifyRate: 100 })
+  const start = Date.now()
+  t.deepEqual(await c.verify(), [])
+  t.true(Date.now() - start >= 350)
+})
+
+test('make room on the cache disk', async t => {
+  const { fs } = t.context
+  // a disk of 30 bytes
+  fs.statfs = (path, cb) =>
+    cb(null, { bsize: 1, bavail: 30 - c.status().bytes })
+  const c = new Cache({ ...options, fs, minFree: 10 })
+  const calls = getCalls(c)
+  const nospace = []
+  c.on('nospace', data => nospace.push(data))
+
+  await c.warm(DIR + '/file1.flac')
+  await c.warm(DIR + '/file3.flac')
+  calls.splice(0)
+  await c.warm(DIR + '/file4.flac')
+  t.deepEqual(calls, [
+    ['uncache', DIR + '/file1.flac'],
+    ['cache', DIR + '/file4.flac']
+  ])
+
+  await c.pin(DIR + '/file3.flac')
+  await c.pin(DIR + '/file4.flac')
+  t.deepEqual(await c.warm(DIR + '/file5.flac'), [])
+  t.deepEqual(nospace, [[DIR + '/file5.flac', 10]])
+  t.deepEqual(fs.readdirSync('/cache' + DIR).sort(), [
+    'file3.flac',
+    'file4.flac'
+  ])
+})
+
+test('clean up a copy which runs out of space', async t => {
+  const { fs } = t.context
+  fs.write = (...args) => {
+    const err = Object.assign(new Error('No space'), { code: 'ENOSPC' })
+    process.nextTick(args[args.length - 1], err)
+  }
+  const c = new Cache({ ...options, fs })
+  const nospace = []
+  c.on('nospace', data => nospace.push(data))
+
+  t.deepEqual(await c.warm(DIR + '/file1.flac'), [])
+  t.deepEqual(nospace, [[DIR + '/file1.flac', 10]])
   t.deepEqual(fs.readdirSync('/cache'), [])
 })
 
-function makeFS (fs) {
-  const dirs = ['/source', '/source/foo', '/source/foo/bar', '/cache']
+function makeFS (fs, withCache = true) {
+  const dirs = ['/source', '/source/foo', '/source/foo/bar']
+  if (withCache) dirs.push('/cache')
   for (const d of dirs) {
     fs.mkdirSync(d)
   }
@@ -235,7 +915,22 @@ async function delay (ms) {
 }
 
 function getCalls (cache) {
-  const events = 'request cache uncache hit miss read error'.split(' ')
+  const events = [
+    'request',
+    'cache',
+    'uncache',
+    'discard',
+    'stale',
+    'cancel',
+    'verified',
+    'corrupt',
+    'hit',
+    'miss',
+    'read',
+    'source-down',
+    'source-up',
+    'error'
+  ]
   const calls = []
   for (const event of events) {
     cache.on(event, data => calls.push([event, data]))
@@ -0,0 +1,89 @@
+'use strict'
+
+import test from 'ava'
+import { MemFS } from 'mem-fs'
+
+import { loadConfig, compareConfig, DEFAULTS } from '../src/config'
+
+function withConfig (data) {
+  const fs = new MemFS()
+  fs.writeFileSync(
+    '/config.json',
+    typeof data === 'string' ? data : JSON.stringify(data)
+  )
+  return fs
+}
+
+test('defaults', t => {
+  const options = loadConfig({})
+  t.is(options.preloadSiblings, DEFAULTS.preloadSiblings)
+  t.is(options.cleanAfter, DEFAULTS.cleanAfter)
+})
+
+test('config file then command line', t => {
+  const fs = withConfig({
+    'preload-siblings': 5,
+    cleanAfter: 100,
+    cacheMaxSize: '20G'
+  })
+  const options = loadConfig({ config: '/config.json', cleanAfter: 200 }, fs)
+  t.is(options.preloadSiblings, 5)
+  t.is(options.cleanAfter, 200)
+  t.is(options.cacheMaxSize, '20G')
+  t.is(options.preloadOpen, DEFAULTS.preloadOpen)
+})
+
+test('rules', t => {
+  const fs = withConfig({
+    rules: [
+      { path: '/classical/', preloadStrategy: 'album' },
+      { path: '/podcasts', cache: false },
+      { path: '/audiobooks', 'clean-after': 1000 }
+    ]
+  })
+  const { rules } = loadConfig({ config: '/config.json' }, fs)
+  t.deepEqual(rules, [
+    { path: '/classical', preloadStrategy: 'album' },
+    { path: '/podcasts', cache: false },
+    { path: '/audiobooks', cleanAfter: 1000 }
+  ])
+})
+
+test('invalid config', t => {
+  const load = data => () =>
+    loadConfig({ config: '/config.json' }, withConfig(data))
+
+  t.throws(load('{ nope'), /Could not read config file/)
+  t.throws(load([]), /must hold an object/)
+  t.throws(load({ preloadSiblings: 'three' }), /preload-siblings must be/)
+  t.throws(load({ cacheMaxSize: 'lots' }), /cache-max-size must be/)
+  t.throws(load({ preloadFilter: '(' }), /preload-filter must be a regex/)
+  t.throws(load({ preloadStrategy: 'nope' }), /preload-strategy must be/)
+  t.throws(
+    load({ rules: [{ path: '/a', preloadStrategy: './nope' }] }),
+    /rule 1: preload-strategy must be/
+  )
+  t.throws(load({ colour: 'blue' }), /unknown option colour/)
+  t.throws(load({ rules: {} }), /rules must be a list/)
+  t.throws(load({ rules: [{ cache: false }] }), /rule 1: path must be/)
+  t.throws(load({ rules: [{ path: '/a', copyWorkers: 2 }] }), /rule 1:/)
+  t.throws(() => loadConfig({ copyWorkers: 'x' }), /command line/)
+})
+
+test('compare configs', t => {
+  const current = loadConfig({ control: '/tmp/sock' })
+  const next = {
+    ...current,
+    preloadSiblings: 5,
+    rules: [{ path: '/a', cache: false }],
+    control: '/tmp/other'
+  }
+  t.deepEqual(compareConfig(current, next), {
+    changed: ['preloadSiblings', 'rules'],
+    rejected: ['control']
+  })
+  t.deepEqual(compareConfig(current, { ...current }), {
+    changed: [],
+    rejected: []
+  })
+})
@@ -0,0 +1,154 @@
+'use strict'
+
+import test from 'ava'
+import net from 'net'
+import { tmpdir } from 'os'
+import { join } from 'path'
+
+import Cache from '../src/cache'
+import Report from '../src/report'
+import getControl from '../src/control'
+import { MemFS } from 'mem-fs'
+
+const options = {
+  sourceDir: '/source',
+  cacheDir: '/cache',
+  preloadSiblings: 2,
+  preloadOpen: 50,
+  preloadRead: 50,
+  preloadFilter: '^.*\\.flac$',
+  cleanAfter: 60,
+  quiet: true
+}
+
+const DIR = '/foo/bar'
+
+test.beforeEach(t => {
+  const fs = new MemFS()
+  makeFS(fs)
+  const cache = new Cache({ ...options, fs })
+  const report = new Report(options)
+  const control = getControl(cache, report, {
+    ...options,
+    control: join(tmpdir(), `cachejs-test-${process.pid}-${Math.random()}`)
+  })
+  t.context = { fs, cache, report, control }
+  return control.start()
+})
+
+test.afterEach.always(t => t.context.control.stop())
+
+test('status and list', async t => {
+  const { control } = t.context
+  const res = await send(control.socketPath, { cmd: 'status' })
+  t.true(res.ok)
+  t.is(res.result.files, 0)
+  t.is(res.result.bytes, 0)
+
+  const res2 = await send(control.socketPath, { cmd: 'list' })
+  t.deepEqual(res2, { ok: true, result: [] })
+})
+
+test('cache and uncache', async t => {
+  const { control, fs } = t.context
+  let res = await send(control.socketPath, { cmd: 'cache', path: DIR })
+  t.deepEqual(res.result, [
+    DIR + '/file1.flac',
+    DIR + '/file3.flac',
+    DIR + '/file4.flac',
+    DIR + '/file5.flac'
+  ])
+  t.true(fs.existsSync('/cache' + DIR + '/file5.flac'))
+
+  res = await send(control.socketPath, {
+    cmd: 'uncache',
+    path: DIR + '/file5.flac'
+  })
+  t.deepEqual(res.result, [DIR + '/file5.flac'])
+
+  res = await send(control.socketPath, { cmd: 'list' })
+  t.is(res.result.length, 3)
+  t.is(res.result[0].path, DIR + '/file1.flac')
+})
+
+test('clean with overrides', async t => {
+  const { control } = t.context
+  await send(control.socketPath, { cmd: 'cache', path: DIR })
+  const res = await send(control.socketPath, {
+    cmd: 'clean',
+    age: -1,
+    ignore: '1\\.flac$'
+  })
+  t.deepEqual(res.result, [
+    DIR + '/file3.flac',
+    DIR + '/file4.flac',
+    DIR + '/file5.flac'
+  ])
+})
+
+test('verbose', async t => {
+  const { control, report } = t.context
+  const res = await send(control.socketPath, { cmd: 'verbose', level: 3 })
+  t.true(res.ok)
+  t.is(report.level, 3)
+})
+
+test('bad requests', async t => {
+  const { control } = t.context
+  let res = await send(control.socketPath, { cmd: 'foo' })
+  t.false(res.ok)
+  t.regex(res.error, /Unknown command/)
+
+  res = await send(control.socketPath, { cmd: 'cache', path: 'foo' })
+  t.false(res.ok)
+
+  res = await send(control.socketPath, { cmd: 'cache', path: '/foo/../../etc' })
+  t.false(res.ok)
+  t.regex(res.error, /Invalid path/)
+})
+
+test('not started twice', async t => {
+  const { cache, report, control } = t.context
+  const other = getControl(cache, report, {
+    ...options,
+    control: control.socketPath
+  })
+  await t.throwsAsync(other.start(), /Already running/)
+  const res = await send(control.socketPath, { cmd: 'status' })
+  t.true(res.ok)
+})
+
+function send (path, req) {
+  return new Promise((resolve, reject) => {
+    let data = ''
+    const socket = net.connect(path, () => {
+      socket.write(JSON.stringify(req) + '\n')
+    })
+    socket.setEncoding('utf8')
+    socket.on('error', reject)
+    socket.on('data', chunk => {
+      data += chunk
+      if (!data.endsWith('\n')) return
+      socket.end()
+      resolve(JSON.parse(data))
+    })
+  })
+}
+
+function makeFS (fs) {
+  const dirs = ['/source', '/source/foo', '/source/foo/bar', '/cache']
+  for (const d of dirs) {
+    fs.mkdirSync(d)
+  }
+
+  const files = [
+    'file1.flac',
+    'file2.claf',
+    'file3.flac',
+    'file4.flac',
+    'file5.flac'
+  ]
+  for (const f of files) {
+    fs.writeFileSync(`/source/foo/bar/${f}`, 'data567890')
+  }
+}
@@ -0,0 +1,101 @@
+'use strict'
+
+import test from 'ava'
+import { MemFS } from 'mem-fs'
+
+import History from '../src/history'
+
+const FILE = '/cache/.cachejs/history.jsonl'
+const DAY = 24 * 60 * 60 * 1000
+
+test.beforeEach(t => {
+  const fs = new MemFS()
+  fs.mkdirSync('/cache')
+  t.context = { fs }
+})
+
+test('records plays', async t => {
+  const { fs } = t.context
+  const h = new History({ file: FILE, fs })
+  t.deepEqual(await h.records(), [])
+
+  const opened = Date.now()
+  h.add({ path: '/a/1.flac', opened, duration: 100, bytes: 10, hit: true })
+  h.add({ path: '/a/2.flac', opened, duration: 200, bytes: 20, hit: false })
+  await h.flush()
+  t.true(fs.existsSync(FILE))
+
+  t.deepEqual(await h.records(), [
+    { path: '/a/1.flac', opened, duration: 100, bytes: 10, hit: true },
+    { path: '/a/2.flac', opened, duration: 200, bytes: 20, hit: false }
+  ])
+  t.is((await h.records(opened + 1)).length, 0)
+})
+
+test('ignores bad lines', async t => {
+  const { fs } = t.context
+  fs.mkdirSync('/cache/.cachejs')
+  fs.writeFileSync(FILE, '[1,2,3,1,"/a/1.flac"]\nnot json\n[1,2,3]\n')
+  const h = new History({ file: FILE, fs })
+  t.deepEqual(await h.records(), [
+    { path: '/a/1.flac', opened: 1, duration: 2, bytes: 3, hit: true }
+  ])
+})
+
+test('report', async t => {
+  const { fs } = t.context
+  const h = new History({ file: FILE, fs, days: 10000 })
+  const day1 = Date.UTC(2020, 0, 1, 12)
+  const day2 = day1 + DAY
+  const play = (path, opened, hit) =>
+    h.add({ path, opened, duration: 1, bytes: 10, hit })
+
+  play('/a/1.flac', day1, false)
+  play('/a/2.flac', day1, true)
+  play('/b/1.flac', day1, false)
+  play('/a/1.flac', day2, false)
+  play('/b/2.flac', day2, true)
+  play('/a/3.flac', day2, true)
+
+  t.deepEqual(await h.report(), {
+    dirs: [
+      { dir: '/a', plays: 4, bytes: 40, last: day2 },
+      { dir: '/b', plays: 2, bytes: 20, last: day2 }
+    ],
+    ratio: [
+      { date: '2020-01-01', hits: 1, misses: 2, ratio: 1 / 3 },
+      { date: '2020-01-02', hits: 2, misses: 1, ratio: 2 / 3 }
+    ],
+    misses: [{ path: '/a/1.flac', opens: 2 }]
+  })
+
+  const report = await h.report({ since: day2, limit: 1 })
+  t.deepEqual(report.dirs, [{ dir: '/a', plays: 2, bytes: 20, last: day2 }])
+  t.deepEqual(report.misses, [])
+})
+
+test('prune old records', async t => {
+  const { fs } = t.context
+  const h = new History({ file: FILE, fs, days: 2, maxRecords: 2 })
+  const now = Date.now()
+  const play = (path, opened) =>
+    h.add({ path, opened, duration: 1, bytes: 10, hit: true })
+
+  play('/a/1.flac', now - 3 * DAY)
+  play('/a/2.flac', now - DAY)
+  play('/a/3.flac', now - DAY)
+  play('/a/4.flac', now)
+  await h.prune()
+
+  const records = await h.records()
+  t.deepEqual(records.map(r => r.path), ['/a/3.flac', '/a/4.flac'])
+  t.false(fs.existsSync(FILE + '.tmp'))
+})
+
+test('no history kept', async t => {
+  const { fs } = t.context
+  const h = new History({ file: FILE, fs, days: 0 })
+  h.add({ path: '/a/1.flac', opened: Date.now(), duration: 1, bytes: 1 })
+  await h.flush()
+  t.false(fs.existsSync(FILE))
+})
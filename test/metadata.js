@@ -0,0 +1,83 @@
+'use strict'
+
+import test from 'ava'
+import { MemFS } from 'mem-fs'
+
+import Metadata from '../src/metadata'
+
+const FILE = '/cache/.cachejs/metadata.json'
+
+test.beforeEach(t => {
+  const fs = new MemFS()
+  fs.mkdirSync('/cache')
+  fs.mkdirSync('/source')
+  fs.writeFileSync('/source/file1', 'data567890')
+  t.context = { fs }
+})
+
+test('listings and stats kept for a time', async t => {
+  const m = new Metadata({})
+  m.setDir('/foo', ['a', 'b'])
+  t.deepEqual(m.dir('/foo', 1000), ['a', 'b'])
+  t.is(m.dir('/foo', 0), undefined)
+  t.is(m.dir('/bar', 1000), undefined)
+
+  const stats = { size: 10 }
+  m.setStats('/foo/a', stats)
+  t.is(m.stats('/foo/a', 1000), stats)
+
+  await delay(20)
+  t.is(m.stats('/foo/a', 10), undefined)
+  t.is(m.stats('/foo/a', 1000), stats)
+  t.is(m.count, 2)
+})
+
+test('least recently used dropped', t => {
+  const m = new Metadata({ maxEntries: 2 })
+  m.setDir('/a', [])
+  m.setDir('/b', [])
+  m.dir('/a', 1000)
+  m.setDir('/c', [])
+  t.deepEqual(m.dir('/a', 1000), [])
+  t.is(m.dir('/b', 1000), undefined)
+  t.is(m.count, 2)
+})
+
+test('invalidate', t => {
+  const m = new Metadata({})
+  m.setDir('/foo', ['bar'])
+  m.setDir('/foo/bar', ['a'])
+  m.setStats('/foo/bar', {})
+  m.setStats('/foo/bar/a', {})
+  m.setStats('/foo/baz', {})
+
+  m.invalidate('/foo/bar')
+  t.is(m.dir('/foo', 1000), undefined)
+  t.is(m.dir('/foo/bar', 1000), undefined)
+  t.is(m.stats('/foo/bar/a', 1000), undefined)
+  t.truthy(m.stats('/foo/baz', 1000))
+})
+
+test('persist across restarts', async t => {
+  const { fs } = t.context
+  const m = new Metadata({ file: FILE, fs })
+  m.setDir('/', ['file1'])
+  m.setStats('/file1', fs.lstatSync('/source/file1'))
+  await m.flush()
+  t.true(fs.existsSync(FILE))
+
+  const m2 = new Metadata({ file: FILE, fs })
+  t.true(await m2.load())
+  t.deepEqual(m2.dir('/', 1000), ['file1'])
+  const stats = m2.stats('/file1', 1000)
+  t.is(stats.size, 10)
+  t.true(stats.isFile())
+  t.false(stats.isDirectory())
+
+  const m3 = new Metadata({ fs })
+  t.false(await m3.load())
+})
+
+async function delay (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
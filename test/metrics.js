@@ -0,0 +1,81 @@
+'use strict'
+
+import test from 'ava'
+
+import Cache from '../src/cache'
+import Metrics from '../src/metrics'
+import { MemFS } from 'mem-fs'
+
+const options = {
+  sourceDir: '/source',
+  cacheDir: '/cache',
+  preloadSiblings: 2,
+  preloadOpen: 50,
+  preloadRead: 50,
+  preloadFilter: '^.*\\.flac$'
+}
+
+const DIR = '/foo/bar'
+
+test('counts cache activity', async t => {
+  const fs = new MemFS()
+  makeFS(fs)
+  const c = new Cache({ ...options, fs })
+  const metrics = new Metrics()
+  metrics.attach(c)
+
+  await c.onOpen(1, DIR + '/file1.flac')
+  await delay(100)
+  c.onClose(1)
+  await c.onOpen(1, DIR + '/file1.flac')
+  c.onClose(1)
+  await c.onOpen(1, DIR + '/file2.claf')
+  c.onClose(1)
+
+  const text = metrics.render()
+  t.regex(text, /^cachejs_hits_total 1$/m)
+  t.regex(text, /^cachejs_misses_total 1$/m)
+  t.regex(text, /^cachejs_reads_total 1$/m)
+  t.regex(text, /^cachejs_cached_files_total 3$/m)
+  t.regex(text, /^cachejs_requests_total{reason="time"} 1$/m)
+  t.regex(text, /^cachejs_copied_bytes_total 30$/m)
+  t.regex(text, /^cachejs_copy_seconds_count 3$/m)
+  t.regex(text, /^cachejs_hit_ratio 0.5$/m)
+  t.regex(text, /^cachejs_cache_bytes 30$/m)
+  t.regex(text, /^cachejs_jobs_pending \d+$/m)
+})
+
+test('writes metrics file', async t => {
+  const fs = new MemFS()
+  makeFS(fs)
+  const c = new Cache({ ...options, fs })
+  const metrics = new Metrics({ fs, metricsFile: '/metrics.prom' })
+  metrics.attach(c)
+
+  await metrics.start()
+  await metrics.stop()
+  const text = fs.readFileSync('/metrics.prom', 'utf8')
+  t.regex(text, /^# TYPE cachejs_hits_total counter$/m)
+})
+
+function makeFS (fs) {
+  const dirs = ['/source', '/source/foo', '/source/foo/bar', '/cache']
+  for (const d of dirs) {
+    fs.mkdirSync(d)
+  }
+
+  const files = [
+    'file1.flac',
+    'file2.claf',
+    'file3.flac',
+    'file4.flac',
+    'file5.flac'
+  ]
+  for (const f of files) {
+    fs.writeFileSync(`/source/foo/bar/${f}`, 'data567890')
+  }
+}
+
+async function delay (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
@@ -0,0 +1,62 @@
+'use strict'
+
+import test from 'ava'
+
+import { isPlaylist, parsePlaylist, playlistOrder } from '../src/playlist'
+
+test('recognise playlists', t => {
+  t.true(isPlaylist('/foo/list.m3u'))
+  t.true(isPlaylist('/foo/list.M3U8'))
+  t.true(isPlaylist('/foo/album.cue'))
+  t.false(isPlaylist('/foo/track.flac'))
+})
+
+test('parse m3u', t => {
+  const text = [
+    '\uFEFF#EXTM3U',
+    '#EXTINF:123,Artist - Title',
+    'track2.flac',
+    '',
+    'sub\\track1.flac',
+    '../other/track3.flac',
+    '/source/abs/track4.flac',
+    '/elsewhere/track5.flac',
+    '/source/../../etc/track6.flac',
+    '../../../../track7.flac',
+    'http://example.com/stream.mp3',
+    'track2.flac'
+  ].join('\r\n')
+  t.deepEqual(parsePlaylist('/foo/bar/list.m3u', text, '/source'), [
+    '/foo/bar/track2.flac',
+    '/foo/bar/sub/track1.flac',
+    '/foo/other/track3.flac',
+    '/abs/track4.flac',
+    '/track7.flac'
+  ])
+})
+
+test('parse cue', t => {
+  const text = [
+    'PERFORMER "Someone"',
+    'FILE "01 First.flac" WAVE',
+    '  TRACK 01 AUDIO',
+    '    INDEX 01 00:00:00',
+    'FILE 02.flac WAVE',
+    '  TRACK 02 AUDIO'
+  ].join('\n')
+  t.deepEqual(parsePlaylist('/foo/album.cue', text, '/source'), [
+    '/foo/01 First.flac',
+    '/foo/02.flac'
+  ])
+})
+
+test('playlist order', t => {
+  const files = ['/a/1.flac', '/a/2.flac', '/a/3.flac', '/a/4.flac']
+  const order = ['/a/3.flac', '/b/9.flac', '/a/1.flac', '/a/3.flac']
+  t.deepEqual(playlistOrder(files, order), [
+    '/a/3.flac',
+    '/a/1.flac',
+    '/a/2.flac',
+    '/a/4.flac'
+  ])
+})
@@ -0,0 +1,25 @@
+'use strict'
+
+import test from 'ava'
+
+import Predictor from '../src/predictor'
+
+test('predicts the likeliest next dir', t => {
+  const p = new Predictor()
+  for (const dir of ['/a', '/a', '/b', '/a', '/b', '/a', '/c']) p.learn(dir)
+
+  t.deepEqual(p.predict('/a', 50), { dir: '/b', confidence: 200 / 3 })
+  t.is(p.predict('/a', 70), undefined)
+  t.is(p.predict('/c', 0), undefined)
+})
+
+test('needs a move seen twice', t => {
+  const p = new Predictor()
+  for (const dir of ['/a', '/b', '/a']) p.learn(dir)
+  t.is(p.predict('/a', 0), undefined)
+  p.learn('/b')
+  t.is(p.predict('/a', 0).dir, '/b')
+
+  p.clear()
+  t.is(p.predict('/a', 0), undefined)
+})
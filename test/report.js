@@ -0,0 +1,79 @@
+'use strict'
+
+import test from 'ava'
+import fs from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+
+import Report from '../src/report'
+
+function logFile () {
+  return join(tmpdir(), `cachejs-test-${process.pid}-${Math.random()}.log`)
+}
+
+function capture (report) {
+  const lines = []
+  report.log = line => lines.push(line)
+  return lines
+}
+
+test('text messages by level', t => {
+  const report = new Report({ verbose: 2 })
+  const lines = capture(report)
+
+  report.cache('/foo/bar.flac')
+  report.hit('/foo/bar.flac')
+  t.deepEqual(lines, ['CACHE   /foo/bar.flac'])
+})
+
+test('levels per event', t => {
+  const report = new Report({ verbose: 2, logLevels: 'hit=2,cache=3' })
+  const lines = capture(report)
+
+  report.cache('/foo/bar.flac')
+  report.hit('/foo/bar.flac')
+  t.deepEqual(lines, ['HIT     /foo/bar.flac'])
+
+  t.throws(() => new Report({ logLevels: { nope: 1 } }), /Unknown log event/)
+  t.throws(() => new Report({ logLevels: 'hit=x' }), /Invalid log level/)
+})
+
+test('json messages', t => {
+  const report = new Report({ verbose: 4, logFormat: 'json' })
+  const lines = capture(report)
+
+  report.request(['time', '/foo/bar.flac'])
+  report.copied(['/foo/bar.flac', 1000, 250])
+  report.stale('/foo/bar.flac')
+
+  const [request, copied, stale] = lines.map(line => JSON.parse(line))
+  t.regex(request.time, /^\d{4}-\d\d-\d\dT/)
+  t.is(request.event, 'request')
+  t.is(request.reason, 'time')
+  t.is(request.path, '/foo/bar.flac')
+  t.is(copied.bytes, 1000)
+  t.is(copied.ms, 250)
+  t.is(stale.event, 'stale')
+  t.is(stale.path, '/foo/bar.flac')
+})
+
+test('log to a file with rotation', t => {
+  const file = logFile()
+  const report = new Report({
+    verbose: 2,
+    logFile: file,
+    logMaxSize: 100,
+    logKeep: 2
+  })
+
+  for (let i = 0; i < 10; i++) report.cache(`/foo/file${i}.flac`)
+
+  const current = fs.readFileSync(file, 'utf8')
+  t.regex(current, /^\d{4}-\d\d-\d\dT\S+ CACHE {3}\/foo\/file9\.flac$/m)
+  t.true(fs.existsSync(file + '.1'))
+  t.true(fs.existsSync(file + '.2'))
+  t.false(fs.existsSync(file + '.3'))
+  t.true(fs.statSync(file).size <= 100)
+
+  for (const f of [file, file + '.1', file + '.2']) fs.unlinkSync(f)
+})
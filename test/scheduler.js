@@ -0,0 +1,156 @@
+'use strict'
+
+import test from 'ava'
+
+import Scheduler, { PRIORITY } from '../src/scheduler'
+
+test('runs jobs in priority order', async t => {
+  const s = new Scheduler()
+  const log = []
+  const job = name => async () => {
+    log.push(name)
+    await delay(10)
+    return name
+  }
+
+  const results = await Promise.all([
+    s.add(job('first'), { priority: PRIORITY.BACKGROUND }),
+    s.add(job('far'), { priority: PRIORITY.FAR }),
+    s.add(job('open'), { priority: PRIORITY.OPEN }),
+    s.add(job('near'), { priority: PRIORITY.NEAR })
+  ])
+  t.deepEqual(results, ['first', 'far', 'open', 'near'])
+  t.deepEqual(log, ['first', 'open', 'near', 'far'])
+  t.is(s.pending, 0)
+})
+
+test('runs jobs on several workers', async t => {
+  const s = new Scheduler({ workers: 2 })
+  let running = 0
+  let most = 0
+  const job = async () => {
+    most = Math.max(most, ++running)
+    await delay(10)
+    running--
+  }
+
+  await Promise.all([s.add(job), s.add(job), s.add(job), s.add(job)])
+  t.is(most, 2)
+})
+
+test('de-duplicates jobs by key', async t => {
+  const s = new Scheduler()
+  const log = []
+  const job = name => async () => {
+    log.push(name)
+    await delay(10)
+    return name
+  }
+
+  const results = await Promise.all([
+    s.add(job('a'), { key: 'a' }),
+    s.add(job('a2'), { key: 'a' }),
+    s.add(job('b'), { key: 'b', priority: PRIORITY.FAR }),
+    s.add(job('c'), { key: 'c', priority: PRIORITY.FAR }),
+    s.add(job('c2'), { key: 'c', priority: PRIORITY.OPEN })
+  ])
+  t.deepEqual(results, ['a', 'a', 'b', 'c', 'c'])
+  t.deepEqual(log, ['a', 'c', 'b'])
+})
+
+test('reprioritise queued jobs', async t => {
+  const s = new Scheduler()
+  const log = []
+  const job = name => async () => {
+    log.push(name)
+    await delay(10)
+  }
+
+  const all = Promise.all([
+    s.add(job('a'), { key: 'a' }),
+    s.add(job('b'), { key: 'b', priority: PRIORITY.NEAR }),
+    s.add(job('c'), { key: 'c', priority: PRIORITY.FAR })
+  ])
+  s.reprioritise(key => (key === 'c' ? PRIORITY.OPEN : undefined))
+  await all
+  t.deepEqual(log, ['a', 'c', 'b'])
+})
+
+test('passes back errors', async t => {
+  const s = new Scheduler()
+  await t.throwsAsync(
+    () =>
+      s.add(async () => {
+        throw new Error('oops')
+      }),
+    { message: 'oops' }
+  )
+  t.is(await s.add(async () => 'ok'), 'ok')
+})
+
+test('cancels jobs by tag', async t => {
+  const s = new Scheduler()
+  let stopped = false
+  const running = async token => {
+    while (!token.cancelled) await delay(5)
+    stopped = true
+  }
+  const job = name => async () => name
+
+  const p1 = s.add(running, { key: 'a', tag: 'x' })
+  const p2 = s.add(job('b'), { key: 'b', tag: 'x' })
+  const p3 = s.add(job('c'), { key: 'c', tag: 'y' })
+  await delay(10)
+
+  t.deepEqual(s.cancel((key, tag) => tag === 'x'), ['b'])
+  await p1
+  t.true(stopped)
+  t.is(await p2, undefined)
+  t.is(await p3, 'c')
+})
+
+test('untagged callers keep shared jobs', async t => {
+  const s = new Scheduler()
+  const slow = async token => {
+    await delay(10)
+    return token.cancelled ? 'stopped' : 'done'
+  }
+  const job = name => async () => name
+
+  const p1 = s.add(slow, { key: 'a', tag: 'x' })
+  const p2 = s.add(job('b'), { key: 'b', tag: 'x' })
+  const p3 = s.add(job('c'), { key: 'c', tag: 'x' })
+  s.add(slow, { key: 'a' })
+  s.add(job('b'), { key: 'b' })
+  s.add(job('c'), { key: 'c', tag: 'x' })
+
+  t.deepEqual(s.cancel((key, tag) => tag === 'x'), ['c'])
+  t.is(await p1, 'done')
+  t.is(await p2, 'b')
+  t.is(await p3, undefined)
+})
+
+test('pause and resume jobs', async t => {
+  const s = new Scheduler()
+  const order = []
+  const job = name => async () => {
+    order.push(name)
+    return name
+  }
+
+  s.pause(key => key !== undefined)
+  const p1 = s.add(job('a'), { key: 'a' })
+  const p2 = s.add(job('b'))
+  t.is(await p2, 'b')
+  await delay(10)
+  t.deepEqual(order, ['b'])
+  t.is(s.pending, 1)
+
+  s.resume()
+  t.is(await p1, 'a')
+  t.deepEqual(order, ['b', 'a'])
+})
+
+async function delay (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
@@ -0,0 +1,152 @@
+'use strict'
+
+import test from 'ava'
+import { MemFS } from 'mem-fs'
+
+import Sources, {
+  parseSources,
+  createCache,
+  isSharedCacheDir
+} from '../src/sources'
+import Cache from '../src/cache'
+
+const options = {
+  sourceDir: 'music=/nas/music,books=/usb/books',
+  cacheDir: '/cache',
+  preloadSiblings: 1,
+  preloadOpen: 10,
+  preloadRead: 50,
+  preloadFilter: '^.*\\.flac$'
+}
+
+test.beforeEach(t => {
+  const fs = new MemFS()
+  for (const dir of ['/nas', '/nas/music', '/nas/music/a', '/usb']) {
+    fs.mkdirSync(dir)
+  }
+  fs.mkdirSync('/usb/books')
+  fs.mkdirSync('/cache')
+  for (const f of ['1.flac', '2.flac']) {
+    fs.writeFileSync(`/nas/music/a/${f}`, 'data567890')
+  }
+  fs.writeFileSync('/usb/books/b.flac', 'data567890')
+  t.context = { fs }
+})
+
+test('parse sources', t => {
+  t.is(parseSources({ sourceDir: '/source' }), undefined)
+  t.deepEqual(parseSources(options), [
+    { name: 'music', sourceDir: '/nas/music' },
+    { name: 'books', sourceDir: '/usb/books' }
+  ])
+  t.throws(() => parseSources({ sourceDir: 'a=/x,/y' }), /Invalid source/)
+  t.throws(() => parseSources({ sourceDir: 'a=/x,a=/y' }), /named twice/)
+})
+
+test('shared cache dir', async t => {
+  const { fs } = t.context
+  t.false(isSharedCacheDir('/cache', fs))
+  t.false(isSharedCacheDir('/nowhere', fs))
+
+  const c = new Sources(parseSources(options), { ...options, fs })
+  await c.warm('/music/a/1.flac')
+  await c.close()
+  t.true(isSharedCacheDir('/cache', fs))
+  t.false(isSharedCacheDir('/cache/music', fs))
+})
+
+test('create cache or sources', t => {
+  const { fs } = t.context
+  t.true(createCache({ ...options, fs }) instanceof Sources)
+  t.true(
+    createCache({ ...options, sourceDir: '/nas/music', fs }) instanceof Cache
+  )
+})
+
+test('sources as top-level dirs', async t => {
+  const { fs } = t.context
+  const s = createCache({ ...options, fs })
+  await s.recover()
+
+  t.deepEqual(await s.readdir('/'), ['books', 'music'])
+  t.deepEqual(await s.readdir('/music/a'), ['1.flac', '2.flac'])
+  t.is((await s.locate('/')).fullpath, '/cache')
+  t.is((await s.locate('/books/b.flac')).fullpath, '/usb/books/b.flac')
+  await t.throwsAsync(() => s.readdir('/films'), { code: 'ENOENT' })
+})
+
+test('events name the source', async t => {
+  const { fs } = t.context
+  const s = createCache({ ...options, fs })
+  const calls = []
+  for (const event of ['miss', 'request', 'cache']) {
+    s.on(event, data => calls.push([event, data]))
+  }
+  await s.recover()
+
+  await s.onOpen(1, '/music/a/1.flac')
+  await delay(50)
+  s.onClose(1)
+
+  t.deepEqual(calls, [
+    ['miss', '/music/a/1.flac'],
+    ['request', ['time', '/music/a/1.flac']],
+    ['cache', '/music/a/1.flac'],
+    ['cache', '/music/a/2.flac']
+  ])
+  t.true(fs.existsSync('/cache/music/a/1.flac'))
+})
+
+test('own cache dir and quota', async t => {
+  const { fs } = t.context
+  fs.mkdirSync('/ssd')
+  const s = createCache({
+    ...options,
+    fs,
+    sources: { books: { cacheDir: '/ssd/books', cacheMaxSize: '1K' } }
+  })
+  await s.recover()
+
+  t.deepEqual(await s.warm('/books'), ['/books/b.flac'])
+  t.true(fs.existsSync('/ssd/books/b.flac'))
+  t.deepEqual(await s.warm('/music/a/2.flac'), ['/music/a/2.flac'])
+
+  const status = s.status()
+  t.is(status.files, 2)
+  t.is(status.sources.books.maxSize, 1000)
+  t.deepEqual(s.list().map(({ path }) => path), [
+    '/books/b.flac',
+    '/music/a/2.flac'
+  ])
+  t.deepEqual(await s.evict('/'), ['/music/a/2.flac', '/books/b.flac'])
+})
+
+test('quota split between sources sharing the cache dir', t => {
+  const { fs } = t.context
+  let s = createCache({ ...options, fs, cacheMaxSize: '1K' })
+  t.is(s.status().sources.music.maxSize, 500)
+  t.is(s.status().sources.books.maxSize, 500)
+
+  s = createCache({
+    ...options,
+    fs,
+    cacheMaxSize: '1K',
+    sources: { books: { cacheDir: '/ssd/books' } }
+  })
+  t.is(s.status().sources.music.maxSize, 1000)
+})
+
+test('rules by mount path', async t => {
+  const { fs } = t.context
+  const s = createCache({
+    ...options,
+    fs,
+    rules: [{ path: '/music/a', cache: false }]
+  })
+  t.false((await s.locate('/music/a/1.flac')).cacheable)
+  t.true((await s.locate('/books/b.flac')).cacheable)
+})
+
+async function delay (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
@@ -0,0 +1,57 @@
+'use strict'
+
+import test from 'ava'
+
+import { getStrategy } from '../src/strategies'
+
+const TREE = {
+  '/': ['/a', '/b', '/c'],
+  '/a': ['/a/1.flac', '/a/2.flac', '/a/3.flac'],
+  '/b': ['/b/1.flac', '/b/2.flac', '/b/3.flac'],
+  '/c': []
+}
+
+const context = {
+  count: 2,
+  files: async dir => (dir === '/' ? [] : TREE[dir]),
+  dirs: async dir => (dir === '/' ? TREE['/'] : [])
+}
+
+test('siblings', async t => {
+  const strategy = getStrategy('siblings')
+  t.deepEqual(await strategy('/a/1.flac', context), [
+    '/a/1.flac',
+    '/a/2.flac',
+    '/a/3.flac'
+  ])
+  t.deepEqual(await strategy('/a/3.flac', context), ['/a/3.flac'])
+})
+
+test('siblings is the default', t => {
+  t.is(getStrategy(), getStrategy('siblings'))
+})
+
+test('album', async t => {
+  const strategy = getStrategy('album')
+  t.deepEqual(await strategy('/a/2.flac', context), [
+    '/a/2.flac',
+    '/a/3.flac',
+    '/a/1.flac'
+  ])
+})
+
+test('next-dir', async t => {
+  const strategy = getStrategy('next-dir')
+  t.deepEqual(await strategy('/a/2.flac', context), [
+    '/a/2.flac',
+    '/a/3.flac',
+    '/b/1.flac'
+  ])
+  t.deepEqual(await strategy('/b/3.flac', context), ['/b/3.flac'])
+})
+
+test('custom strategy', async t => {
+  const fn = async path => [path]
+  t.is(getStrategy(fn), fn)
+  t.throws(() => getStrategy('./no-such-strategy'))
+})
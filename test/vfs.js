@@ -39,6 +39,10 @@ test('vfs activity', async t => {
   t.falsy(err2)
   t.deepEqual(files, ['bar'])
 
+  const [err3, stats] = await vfs.invoke('getattr', DIR + '/file2.claf')
+  t.falsy(err3)
+  t.is(stats.size, 10)
+
   t.deepEqual(calls, [
     ['miss', DIR + '/file1.flac'],
     ['request', ['time', DIR + '/file1.flac']],